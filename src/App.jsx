@@ -1,96 +1,471 @@
-// A modern YNAB-style web budgeting app using React and a simple local storage backend.
-// This is a single-file implementation (for demonstration).
-// Copy-paste into App.js of a create-react-app project or similar React environment.
+// A modern YNAB-style web budgeting app using React, with data stored in the browser (IndexedDB).
+// This file holds the app shell and the main views; larger views live in
+// src/components and the data logic in src/utils.
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import './App.css';
 import { PieChart, BarChart, LineChart, DonutChart } from './components/Charts.jsx';
 import sampleData from './data/sample-data.json';
+import {
+  currentMonth, shiftMonth, formatMonth,
+  categoryMonthSummary, availableToBudget as computeAvailableToBudget
+} from './utils/budget.js';
+import { formatCurrency, formatDate, formatDateTime, formatSettings, genId, parseAmount, setFormatSettings } from './utils/format.js';
+import { localDay } from './utils/dates.js';
+import { categoryLabel, isTransfer, transferLegs } from './utils/transactions.js';
+import {
+  accountBalances, accountBalance, totalBalance as computeTotalBalance, startingBalanceTransaction,
+  findBalanceMismatches, reconcileStoredBalances, stripStoredBalances, isUncategorized,
+  clearedBalance, clearedStatus, reconcileAccount, isLocked, isPending, pendingBalance, CLEARED, UNCLEARED
+} from './utils/ledger.js';
+import { TransactionForm } from './components/TransactionForm.jsx';
+import { TransactionList } from './components/TransactionList.jsx';
+import { StatementImport } from './components/StatementImport.jsx';
+import { detectStatementFormat } from './utils/importers.js';
+import { DuplicateReview } from './components/DuplicateReview.jsx';
+import { ReconcilePanel } from './components/ReconcilePanel.jsx';
+import { Scheduled } from './components/Scheduled.jsx';
+import { postDueTransactions, todayKey, upcomingOccurrences } from './utils/schedule.js';
+import { applyImportDecisions, findDuplicates, missingById } from './utils/duplicates.js';
+import { Payees } from './components/Payees.jsx';
+import { PayeeInput } from './components/PayeeInput.jsx';
+import { TransactionFilters } from './components/TransactionFilters.jsx';
+import {
+  DEFAULT_SORT, categoryMonthFilters, emptyFilters, filterTransactions, runningTotals, sortTransactions, summarize
+} from './utils/filters.js';
+import { categoryOutflow, findAccount, findCategory, transactionsForAccount, transactionsInMonth } from './utils/selectors.js';
+import { payeeDefaults, payeeName, resolvePayees } from './utils/payees.js';
+import { StorageErrorScreen } from './components/StorageErrorScreen.jsx';
+import {
+  BudgetLockedError, DEFAULT_BUDGET_NAME, activeBudgetId, createBudget, deleteBudget, eraseAllBudgets, listBudgets, listSnapshots, loadBudget,
+  loadFormatSettings, loadSnapshotData, lockBudget, rememberActiveBudget, renameBudget, resetBudget, saveBudget,
+  saveFormatSettings, sealSnapshotSummaries, setEncryption, unlockBudget, writeSnapshot
+} from './utils/storage.js';
+import { checkDataset, emptyDataset, migrate } from './utils/migrations.js';
+import { ImportValidationModal } from './components/ImportValidation.jsx';
+import { repairDataset, validateDataset } from './utils/validation.js';
+import { Toast } from './components/Toast.jsx';
+import { record, redo, redoLabel, startHistory, undo, undoLabel } from './utils/history.js';
+import { Backups } from './components/Backups.jsx';
+import { createSnapshot, expiredSnapshots, isWorthSnapshotting, needsDailySnapshot } from './utils/snapshots.js';
+import { EncryptionSettings, ExportModal, PassphraseModal, UnlockScreen } from './components/Encryption.jsx';
+import { decryptJSON, encryptJSON, isEncrypted } from './utils/crypto.js';
+import { Budgets } from './components/Budgets.jsx';
+import { COMMON_CURRENCIES, accountCurrency, baseAmount, baseCurrency, missingRates, rateFor, rebaseRates, toBase } from './utils/currency.js';
+import { ExchangeRates } from './components/ExchangeRates.jsx';
+import { Settings } from './components/Settings.jsx';
+import { Reports } from './components/Reports.jsx';
+import { UNGROUPED, categoryGroups, groupedCategories, moveGroup, sumSummaries } from './utils/categories.js';
+import { fundUnderfunded, fundingPlan, targetStatus } from './utils/targets.js';
+import { TargetForm, TargetProgress } from './components/CategoryTarget.jsx';
+import { applyBudgets, moveMoney } from './utils/quickBudget.js';
+import { QuickBudget } from './components/QuickBudget.jsx';
+import { MoveMoney } from './components/MoveMoney.jsx';
 
-// --- Helper functions for LocalStorage ---
-const LS_KEY = 'budget_app_data_v1';
-function loadData() {
-  try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (raw) return JSON.parse(raw);
-  } catch (e) {}
-  return {
-    accounts: [],
-    categories: [],
-    transactions: []
-  };
+// --- Storage ---
+// Saved data is migrated to the current schema on load. Scheduled transactions
+// that came due since the last visit are posted here. `load` is swapped for
+// unlockBudget when the saved budget is encrypted.
+function openBudget(budgetId, load = loadBudget) {
+  return load(budgetId).then(saved => postDueTransactions(saved || emptyDataset()));
 }
-function saveData(data) {
-  localStorage.setItem(LS_KEY, JSON.stringify(data));
+
+// Saves a restore point of `data` in budget `budgetId`. A daily snapshot is
+// skipped if today's already exists; older snapshots past the retention limits
+// are pruned.
+async function takeSnapshot(budgetId, data, reason) {
+  if (reason !== 'manual' && !isWorthSnapshotting(data)) return;
+  const existing = await listSnapshots(budgetId);
+  if (reason === 'daily' && !needsDailySnapshot(existing)) return;
+  const snapshot = createSnapshot(budgetId, data, reason);
+  await writeSnapshot(snapshot, data, expiredSnapshots([snapshot, ...existing]));
 }
 
 // --- File handling functions ---
 function loadSampleData() {
-  return sampleData;
+  return migrate(sampleData);
 }
 
-function exportData(data) {
-  const dataStr = JSON.stringify(data, null, 2);
-  const dataBlob = new Blob([dataStr], { type: 'application/json' });
+function downloadJSON(text, fileName) {
+  const dataBlob = new Blob([text], { type: 'application/json' });
   const url = URL.createObjectURL(dataBlob);
   const link = document.createElement('a');
   link.href = url;
-  link.download = `budget-data-${new Date().toISOString().split('T')[0]}.json`;
+  link.download = fileName;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
 
-function loadDataFromFile(file) {
+// Exports one budget, named after it. With a passphrase the file is an
+// encrypted envelope instead of plain JSON.
+async function exportData(data, budgetName, passphrase) {
+  const slug = budgetName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'budget';
+  const date = localDay();
+  if (passphrase) {
+    downloadJSON(JSON.stringify(await encryptJSON(data, passphrase)), `${slug}-${date}.encrypted.json`);
+  } else {
+    downloadJSON(JSON.stringify(data, null, 2), `${slug}-${date}.json`);
+  }
+}
+
+function readFileText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        resolve(data);
-      } catch (error) {
-        reject(new Error('Invalid JSON file'));
-      }
-    };
+    reader.onload = (e) => resolve(e.target.result);
     reader.onerror = () => reject(new Error('Error reading file'));
     reader.readAsText(file);
   });
 }
 
+// Parses and checks a JSON file; it is migrated once the balance check is done.
+// Encrypted files are returned as their envelope, to be decrypted by the caller.
+function loadDataFromFile(file) {
+  return readFileText(file).then(text => {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new Error('Invalid JSON file');
+    }
+    if (isEncrypted(parsed)) return parsed;
+    checkDataset(parsed);
+    return parsed;
+  });
+}
+
+// Rebuilds both legs of a transfer in place, keeping their ids and date
+function updateTransfer(data, leg, changes) {
+  const legs = data.transactions.filter(tx => tx.transferId === leg.transferId);
+  const outLeg = legs.find(tx => tx.amount < 0) || leg;
+  const inLeg = legs.find(tx => tx !== outLeg);
+  const [newOut, newIn] = transferLegs(
+    {
+      fromAccountId: changes.accountId,
+      toAccountId: changes.transferAccountId,
+      amount: changes.amount,
+      receivedAmount: changes.receivedAmount,
+      memo: changes.memo,
+      date: changes.date || leg.date
+    },
+    { transferId: leg.transferId, outId: outLeg.id, inId: inLeg?.id }
+  );
+  const updated = data.transactions.map(tx =>
+    tx.id === newOut.id ? { ...tx, ...newOut } : tx.id === newIn.id ? { ...tx, ...newIn } : tx
+  );
+  return { ...data, transactions: inLeg ? updated : [...updated, newIn] };
+}
+
 // --- Components ---
 function App() {
-  const [data, setData] = useState(loadData());
+  const [history, setHistory] = useState(() => startHistory(null));
+  const data = history.present;
+  const [toast, setToast] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [budgets, setBudgets] = useState([]);
+  const [budgetId, setBudgetId] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [encrypted, setEncrypted] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [encryptedFile, setEncryptedFile] = useState(null);
+  const [saveError, setSaveError] = useState(null);
   const [view, setView] = useState('dashboard');
+  // Applied before the first render so every view formats the same way
+  const [formatPrefs, setFormatPrefs] = useState(() => {
+    setFormatSettings(loadFormatSettings());
+    return formatSettings();
+  });
   const [selectedAccount, setSelectedAccount] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [showQuickAdd, setShowQuickAdd] = useState(false);
+  const [selectedMonth, setSelectedMonth] = useState(currentMonth());
+  const [pendingImport, setPendingImport] = useState(null);
+  const [statementFile, setStatementFile] = useState(null);
+  const [jsonImport, setJsonImport] = useState(null);
+  const [invalidImport, setInvalidImport] = useState(null);
+  const [importReview, setImportReview] = useState(null);
+  const [transactionFilters, setTransactionFilters] = useState(emptyFilters);
+
+  // Every change to the data goes through here so it can be undone. A change
+  // also dismisses any undo toast, whose Undo would otherwise revert this
+  // change instead of the one it announced; `notify` right after still shows.
+  const setData = useCallback((update, label) => {
+    setHistory(h => record(h, typeof update === 'function' ? update(h.present) : update, label));
+    setToast(null);
+  }, []);
+  const startWith = useCallback((loaded) => setHistory(startHistory(loaded)), []);
+
+  const handleUndo = useCallback(() => { setHistory(undo); setToast(null); }, []);
+  const handleRedo = useCallback(() => { setHistory(redo); setToast(null); }, []);
+  // Bulk changes get a toast with a one-click undo
+  const notify = (message) => setToast({ message, id: Date.now() });
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // An encrypted budget shows the unlock screen instead of an error
+  const handleLoadFailure = useCallback((err) => {
+    if (err instanceof BudgetLockedError) setLocked(true);
+    else setLoadError(err);
+  }, []);
+
+  // Opens the budget used last time on this device
+  const openActiveBudget = useCallback(() => {
+    listBudgets()
+      .then(list => {
+        const id = activeBudgetId(list);
+        setBudgets(list);
+        setBudgetId(id);
+        return openBudget(id);
+      })
+      .then(startWith, handleLoadFailure);
+  }, [startWith, handleLoadFailure]);
+
+  useEffect(openActiveBudget, [openActiveBudget]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep the
+  // browser's own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [handleUndo, handleRedo]);
 
+  // Nothing is written until a load has succeeded, so a failed load never
+  // overwrites the saved budget
+  const dailyChecked = useRef('');
   useEffect(() => {
-    saveData(data);
-  }, [data]);
+    if (!data) return;
+    saveBudget(budgetId, data).then(() => setSaveError(null), setSaveError);
+    if (dailyChecked.current !== `${budgetId}:${todayKey()}`) {
+      dailyChecked.current = `${budgetId}:${todayKey()}`;
+      takeSnapshot(budgetId, data, 'daily').catch(setSaveError);
+    }
+  }, [budgetId, data]);
+
+  // Restore points before bulk changes are best-effort; a failure shows the
+  // save banner but doesn't block the change
+  const snapshotBefore = (reason) => {
+    takeSnapshot(budgetId, data, reason).catch(setSaveError);
+  };
+
+  const restoreSnapshot = async (snapshot) => {
+    const snapshotData = await loadSnapshotData(snapshot.id);
+    if (!snapshotData) throw new Error('That backup is missing its data.');
+    await takeSnapshot(budgetId, data, 'restore');
+    setData(migrate(snapshotData), 'Restore backup');
+    notify(`Restored the snapshot from ${formatDateTime(snapshot.createdAt)}`);
+  };
+
+  const retryLoad = () => {
+    setLoadError(null);
+    openActiveBudget();
+  };
+
+  const unlock = async (passphrase) => {
+    const unlocked = await openBudget(budgetId, id => unlockBudget(id, passphrase));
+    setLocked(false);
+    setEncrypted(true);
+    startWith(unlocked);
+    sealSnapshotSummaries().catch(setSaveError);
+  };
+
+  // Pending saves finish before the key is forgotten
+  const lock = async () => {
+    await lockBudget();
+    setHistory(startHistory(null));
+    setToast(null);
+    setLocked(true);
+  };
+
+  const eraseAndStartOver = () => {
+    eraseAllBudgets().then(() => {
+      setLocked(false);
+      setEncrypted(false);
+      openActiveBudget();
+    }, setLoadError);
+  };
+
+  // `passphrase` null turns encryption off
+  const changeEncryption = async (passphrase) => {
+    await setEncryption(passphrase);
+    setEncrypted(passphrase !== null);
+  };
+
+  // Recovery from a failed load replaces whatever is saved. When not even the
+  // list of budgets could be read there's no budget to replace, so a new one
+  // is created and opened instead.
+  const replaceSavedBudget = (newData) => {
+    const saved = budgetId
+      ? resetBudget(budgetId, newData)
+      : createBudget(DEFAULT_BUDGET_NAME, newData).then(info => {
+        rememberActiveBudget(info.id);
+        setBudgets(list => [...list, info]);
+        setBudgetId(info.id);
+      });
+    saved.then(() => { setLoadError(null); startWith(newData); }, setLoadError);
+  };
+
+  // Each budget has its own undo history. The data is cleared along with a
+  // failed switch so the old budget's data is never saved under the new id.
+  const switchBudget = (id) => {
+    rememberActiveBudget(id);
+    return openBudget(id).then(opened => {
+      setBudgetId(id);
+      startWith(opened);
+      setToast(null);
+      setSelectedAccount(null);
+      setTransactionFilters(emptyFilters());
+      setView('dashboard');
+    }, err => {
+      setBudgetId(id);
+      startWith(null);
+      handleLoadFailure(err);
+    });
+  };
+
+  const refreshBudgets = () => listBudgets().then(setBudgets);
+
+  const addBudget = async (name, initialData = emptyDataset()) => {
+    const info = await createBudget(name, initialData);
+    await refreshBudgets();
+    await switchBudget(info.id);
+  };
+
+  // Copies the budget's data only; snapshots stay with the original
+  const duplicateBudget = async (id) => {
+    const source = id === budgetId ? data : await loadBudget(id);
+    const original = budgets.find(b => b.id === id);
+    await createBudget(`${original.name} (copy)`, source || emptyDataset());
+    await refreshBudgets();
+  };
+
+  const changeBudgetName = async (id, name) => {
+    await renameBudget(id, name);
+    await refreshBudgets();
+  };
+
+  const removeBudget = async (id) => {
+    await deleteBudget(id);
+    const remaining = await listBudgets();
+    setBudgets(remaining);
+    if (id === budgetId) await switchBudget(remaining[0].id);
+  };
+
+  const budgetName = budgets.find(b => b.id === budgetId)?.name || '';
 
   // File handling functions
   const handleLoadSampleData = () => {
     setIsLoading(true);
+    snapshotBefore('sample');
     setTimeout(() => {
-      setData(loadSampleData());
+      setData(loadSampleData(), 'Load sample data');
       setIsLoading(false);
+      notify('Sample data loaded');
     }, 500);
   };
 
   const handleExportData = () => {
-    exportData(data);
+    setShowExport(true);
   };
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  // Resolves to the decrypted data, or null if the user cancels
+  const askPassphrase = (envelope, fileName) => new Promise(resolve => {
+    setEncryptedFile({ envelope, fileName, resolve });
+  });
+
+  // Reads a JSON budget file, asking for the passphrase when it's encrypted
+  const readBudgetFile = async (file) => {
+    const parsed = await loadDataFromFile(file);
+    if (!isEncrypted(parsed)) return parsed;
+    const decrypted = await askPassphrase(parsed, file.name);
+    if (decrypted) checkDataset(decrypted);
+    return decrypted;
+  };
+
+  // Imported files may carry stored balances that disagree with their transactions
+  // `mode` is 'merge' when the user already chose to merge while repairing
+  const receiveImportedData = (newData, mode) => {
+    const mismatches = findBalanceMismatches(newData);
+    if (mismatches.length > 0) {
+      setPendingImport({ data: newData, mismatches, mode });
+    } else {
+      acceptImportedData(stripStoredBalances(newData), mode);
+    }
+  };
+
+  // A file can replace an empty budget outright; otherwise ask whether to replace or merge
+  const acceptImportedData = (imported, mode) => {
+    const newData = migrate(imported);
+    if (mode === 'merge') mergeImportedData(newData);
+    else if (data.transactions.length === 0) {
+      setData(newData, 'Import file');
+      notify(`Imported ${newData.transactions.length} transactions`);
+    }
+    else setJsonImport(newData);
+  };
+
+  // Files with problems are held back until the user picks repair, merge or cancel
+  const checkImportedData = (newData) => {
+    const problems = validateDataset(newData);
+    if (problems.length === 0) receiveImportedData(newData);
+    else setInvalidImport({ data: newData, problems });
+  };
+
+  const mergeImportedData = (newData) => {
+    reviewIncoming(newData.transactions, {
+      accounts: missingById(data.accounts, newData.accounts),
+      categoryGroups: missingById(data.categoryGroups || [], newData.categoryGroups || []),
+      categories: missingById(data.categories, newData.categories),
+      payees: missingById(data.payees || [], newData.payees || [])
+    });
+  };
+
+  // Incoming transactions that look like existing ones go through duplicate review first
+  const reviewIncoming = (transactions, additions = {}) => {
+    const results = findDuplicates(data.transactions, transactions);
+    if (results.some(r => r.match)) setImportReview({ transactions, additions });
+    else applyImport(results, additions);
+  };
+
+  // Statement rows arrive with a payee name, which is matched to a payee here
+  const applyImport = (decisions, additions = {}) => {
+    snapshotBefore('import');
+    setData(d => {
+      const next = {
+        ...d,
+        accounts: [...d.accounts, ...(additions.accounts || [])],
+        categoryGroups: [...(d.categoryGroups || []), ...(additions.categoryGroups || [])],
+        categories: [...d.categories, ...(additions.categories || [])],
+        payees: [...(d.payees || []), ...(additions.payees || [])]
+      };
+      return { ...next, ...resolvePayees(next, applyImportDecisions(d.transactions, decisions)) };
+    }, 'Import transactions');
+    const added = decisions.filter(d => d.action === 'import' || (d.action === 'merge' && !d.match)).length;
+    const merged = decisions.filter(d => d.action === 'merge' && d.match).length;
+    notify(`Imported ${added} transaction${added !== 1 ? 's' : ''}${merged ? `, merged ${merged}` : ''}`);
+  };
 
+  // JSON files replace the dataset; bank statements open the statement importer
+  const importFile = async (file) => {
     setIsLoading(true);
     try {
-      const newData = await loadDataFromFile(file);
-      setData(newData);
+      if (detectStatementFormat(file.name)) {
+        setStatementFile({ name: file.name, text: await readFileText(file) });
+      } else {
+        const newData = await readBudgetFile(file);
+        if (newData) checkImportedData(newData);
+      }
     } catch (error) {
       alert('Error loading file: ' + error.message);
     } finally {
@@ -98,6 +473,13 @@ function App() {
     }
   };
 
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    await importFile(file);
+    event.target.value = '';
+  };
+
   const handleDragOver = (event) => {
     event.preventDefault();
     event.currentTarget.classList.add('dragover');
@@ -113,60 +495,272 @@ function App() {
     
     const file = event.dataTransfer.files[0];
     if (!file) return;
-
-    setIsLoading(true);
-    try {
-      const newData = await loadDataFromFile(file);
-      setData(newData);
-    } catch (error) {
-      alert('Error loading file: ' + error.message);
-    } finally {
-      setIsLoading(false);
-    }
+    await importFile(file);
   };
 
   // Utilities
-  const addAccount = (name, balance) => {
+  const addAccount = (name, balance, currency) => {
     if (!name.trim()) return;
+    const id = genId();
+    setData(d => ({
+      ...d,
+      accounts: [...d.accounts, { id, name, currency: currency || baseCurrency(d) }],
+      transactions: [...d.transactions, startingBalanceTransaction(id, parseAmount(balance) || 0)]
+    }), 'Add account');
+  };
+  const changeFormatSettings = (next) => {
+    setFormatSettings(next);
+    saveFormatSettings(formatSettings());
+    setFormatPrefs(formatSettings());
+  };
+  // Rates are re-expressed against the new base; budgeted amounts are kept as they are
+  const changeBaseCurrency = (code) => {
+    setData(d => ({ ...d, baseCurrency: code, exchangeRates: rebaseRates(d, code) }), 'Change base currency');
+  };
+  const setExchangeRates = (rates) => {
+    setData(d => ({ ...d, exchangeRates: { ...d.exchangeRates, ...rates } }), 'Update exchange rates');
+  };
+  const addCategory = (name, groupId) => {
+    if (!name.trim()) return;
+    setData(d => ({
+      ...d,
+      categories: [...d.categories, { id: genId(), name, budgets: {}, ...(groupId ? { groupId } : {}) }]
+    }), 'Add category');
+  };
+  const setCategoryTarget = (id, target) => {
+    setData(d => ({
+      ...d,
+      categories: d.categories.map(c => {
+        if (c.id !== id) return c;
+        const rest = { ...c };
+        delete rest.target;
+        return target ? { ...rest, target } : rest;
+      })
+    }), target ? 'Set target' : 'Remove target');
+  };
+  const fundTargets = (month) => {
+    setData(d => fundUnderfunded(d, month), 'Fund underfunded');
+  };
+  const quickBudget = (month, amounts) => {
+    setData(d => applyBudgets(d, month, amounts), 'Quick budget');
+  };
+  const moveCategoryMoney = (fromId, toId, month, amount) => {
+    setData(d => moveMoney(d, fromId, toId, month, amount), 'Move money');
+  };
+  const moveCategoryToGroup = (id, groupId) => {
     setData(d => ({
       ...d,
-      accounts: [...d.accounts, { id: genId(), name, balance: parseFloat(balance) }]
-    }));
+      categories: d.categories.map(c => {
+        if (c.id !== id) return c;
+        const rest = { ...c };
+        delete rest.groupId;
+        return groupId ? { ...rest, groupId } : rest;
+      })
+    }), 'Move category');
   };
-  const addCategory = (name) => {
+  const addCategoryGroup = (name) => {
     if (!name.trim()) return;
     setData(d => ({
       ...d,
-      categories: [...d.categories, { id: genId(), name, budgeted: 0 }]
-    }));
+      categoryGroups: [...(d.categoryGroups || []), { id: genId(), name: name.trim(), collapsed: false, hidden: false }]
+    }), 'Add category group');
   };
-  const budgetCategory = (id, delta) => {
+  const updateCategoryGroup = (id, changes, label) => {
+    setData(d => ({
+      ...d,
+      categoryGroups: (d.categoryGroups || []).map(g => g.id === id ? { ...g, ...changes } : g)
+    }), label);
+  };
+  const reorderCategoryGroup = (id, delta) => {
+    setData(d => ({ ...d, categoryGroups: moveGroup(d.categoryGroups || [], id, delta) }), 'Reorder category groups');
+  };
+  // Categories in a deleted group are kept and become ungrouped
+  const deleteCategoryGroup = (id) => {
+    setData(d => ({
+      ...d,
+      categoryGroups: (d.categoryGroups || []).filter(g => g.id !== id),
+      categories: d.categories.map(c => {
+        if (c.groupId !== id) return c;
+        const rest = { ...c };
+        delete rest.groupId;
+        return rest;
+      })
+    }), 'Delete category group');
+  };
+  const budgetCategory = (id, month, delta) => {
     setData(d => ({
       ...d,
       categories: d.categories.map(c =>
-        c.id === id ? { ...c, budgeted: c.budgeted + parseFloat(delta) } : c
+        c.id === id
+          ? { ...c, budgets: { ...c.budgets, [month]: (Number(c.budgets?.[month]) || 0) + parseAmount(delta) } }
+          : c
       )
-    }));
+    }), 'Budget category');
   };
   const addTransaction = (tx) => {
+    const date = tx.date || localDay();
+    const added = isTransfer(tx)
+      ? transferLegs({
+        fromAccountId: tx.accountId,
+        toAccountId: tx.transferAccountId,
+        amount: tx.amount,
+        receivedAmount: tx.receivedAmount,
+        memo: tx.memo,
+        date
+      })
+      : [{ ...tx, id: genId(), date }];
+    setData(d => {
+      const { payees, transactions } = resolvePayees(d, added);
+      return { ...d, payees, transactions: [...d.transactions, ...transactions] };
+    }, 'Add transaction');
+  };
+  // `unlock` lets changes to reconciled transactions through
+  const updateTransaction = (id, changes, { unlock = false } = {}) => {
+    setData(d => {
+      const before = d.transactions.find(tx => tx.id === id);
+      if (!before || isLocked(d.transactions, before, unlock)) return d;
+      if (isTransfer(before)) return updateTransfer(d, before, changes);
+      const { payees, transactions: [after] } = resolvePayees(d, [{ ...before, ...changes }]);
+      if (!after.splits) delete after.splits;
+      return {
+        ...d,
+        payees,
+        transactions: d.transactions.map(tx => tx.id === id ? after : tx)
+      };
+    }, 'Edit transaction');
+  };
+  const toggleCleared = (id) => {
     setData(d => ({
       ...d,
-      transactions: [...d.transactions, { ...tx, id: genId(), date: new Date().toISOString() }],
-      accounts: d.accounts.map(a =>
-        a.id === tx.accountId ? { ...a, balance: a.balance + tx.amount } : a
-      )
-    }));
+      transactions: d.transactions.map(tx => {
+        if (tx.id !== id) return tx;
+        const status = clearedStatus(tx);
+        if (status === CLEARED) return { ...tx, cleared: UNCLEARED };
+        if (status === UNCLEARED) return { ...tx, cleared: CLEARED };
+        return tx;
+      })
+    }), 'Change cleared status');
   };
-  // Data selectors
-  const spendingInCategory = (catId) => {
-    return data.transactions.filter(tx => tx.categoryId === catId).reduce((s, t) => s + t.amount, 0);
+  const finishReconcile = (accountId, clearedIds, statementBalance) => {
+    setData(d => reconcileAccount(d, accountId, clearedIds, statementBalance), 'Reconcile account');
+  };
+  const addSchedule = (schedule) => {
+    setData(d => postDueTransactions({
+      ...d,
+      scheduled: [...(d.scheduled || []), { ...schedule, id: genId(), posted: 0 }]
+    }), 'Add schedule');
+  };
+  const deleteSchedule = (id) => {
+    setData(d => ({
+      ...d,
+      scheduled: (d.scheduled || []).filter(s => s.id !== id)
+    }), 'Delete schedule');
+  };
+  const renamePayee = (id, name) => {
+    if (!name.trim()) return;
+    setData(d => ({
+      ...d,
+      payees: (d.payees || []).map(p => p.id === id ? { ...p, name: name.trim() } : p)
+    }), 'Rename payee');
+  };
+  // Transactions keep their memo and category; they just lose the payee link
+  const deletePayee = (id) => {
+    setData(d => ({
+      ...d,
+      payees: (d.payees || []).filter(p => p.id !== id),
+      transactions: d.transactions.map(tx => {
+        if (tx.payeeId !== id) return tx;
+        const rest = { ...tx };
+        delete rest.payeeId;
+        return rest;
+      })
+    }), 'Delete payee');
+  };
+  const addRule = (rule) => {
+    setData(d => ({
+      ...d,
+      rules: [...(d.rules || []), { ...rule, id: genId() }]
+    }), 'Add rule');
+  };
+  const deleteRule = (id) => {
+    setData(d => ({
+      ...d,
+      rules: (d.rules || []).filter(r => r.id !== id)
+    }), 'Delete rule');
+  };
+  const deleteTransaction = (id, { unlock = false } = {}) => {
+    setData(d => {
+      const target = d.transactions.find(tx => tx.id === id);
+      if (!target || isLocked(d.transactions, target, unlock)) return d;
+      // Deleting either leg of a transfer removes both
+      const remove = isTransfer(target)
+        ? (tx => tx.transferId === target.transferId)
+        : (tx => tx.id === id);
+      return { ...d, transactions: d.transactions.filter(tx => !remove(tx)) };
+    }, 'Delete transaction');
+  };
+  // Opens the Transactions view narrowed down to `filters`
+  const showTransactions = (filters) => {
+    setTransactionFilters(filters);
+    setView('transactions');
   };
-  const availableInCategory = (cat) => cat.budgeted + spendingInCategory(cat.id);
-
   // UI
+  const passphraseModal = encryptedFile && (
+    <PassphraseModal
+      fileName={encryptedFile.fileName}
+      onSubmit={async passphrase => {
+        const decrypted = await decryptJSON(encryptedFile.envelope, passphrase);
+        setEncryptedFile(null);
+        encryptedFile.resolve(decrypted);
+      }}
+      onCancel={() => { setEncryptedFile(null); encryptedFile.resolve(null); }}
+    />
+  );
+
+  if (loadError) {
+    return (
+      <>
+        <StorageErrorScreen
+          error={loadError}
+          onRetry={retryLoad}
+          onDownload={raw => downloadJSON(raw, `budget-data-recovered-${localDay()}.json`)}
+          onRestore={file => readBudgetFile(file).then(restored => restored && replaceSavedBudget(migrate(repairDataset(restored).data)))}
+          onStartFresh={() => replaceSavedBudget(emptyDataset())}
+        />
+        {passphraseModal}
+      </>
+    );
+  }
+  if (locked) {
+    return <UnlockScreen onUnlock={unlock} onErase={eraseAndStartOver} />;
+  }
+  if (!data) {
+    return (
+      <div className="app-container">
+        <div className="loading-screen">Loading your budget…</div>
+      </div>
+    );
+  }
+
   return (
     <div className="app-container">
-      <AppBar setView={setView} view={view} />
+      <AppBar
+        setView={setView}
+        view={view}
+        budgets={budgets}
+        budgetId={budgetId}
+        onSwitchBudget={switchBudget}
+        undoLabel={undoLabel(history)}
+        redoLabel={redoLabel(history)}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+      />
+      {saveError && (
+        <div className="save-error-banner" role="alert">
+          <span>{saveError.message}</span>
+          <button className="btn btn-secondary btn-sm" onClick={handleExportData}>Export a copy</button>
+        </div>
+      )}
       <div className="main-content">
         {view === 'dashboard' &&
           <Dashboard
@@ -181,40 +775,133 @@ function App() {
             onDrop={handleDrop}
             isLoading={isLoading}
             onQuickAdd={() => setShowQuickAdd(true)}
+            month={selectedMonth}
+            onMonthChange={setSelectedMonth}
+            onShowTransactions={showTransactions}
+            onFundTargets={fundTargets}
           />
         }
         {view === 'accounts' &&
-          <Accounts
-            accounts={data.accounts}
-            onAdd={addAccount}
-            onSelect={id => { setSelectedAccount(id); setView('account'); }}
-          />
+          <>
+            <Accounts
+              data={data}
+              balances={accountBalances(data)}
+              onAdd={addAccount}
+              onSelect={id => { setSelectedAccount(id); setView('account'); }}
+            />
+            <ExchangeRates data={data} onChangeBase={changeBaseCurrency} onSetRates={setExchangeRates} />
+          </>
         }
         {view === 'categories' &&
           <Categories
             categories={data.categories}
             onAdd={addCategory}
             onBudget={budgetCategory}
+            onMoveCategory={moveCategoryToGroup}
+            onSetTarget={setCategoryTarget}
+            onFundTargets={fundTargets}
+            onQuickBudget={quickBudget}
+            onMoveMoney={moveCategoryMoney}
+            onAddGroup={addCategoryGroup}
+            onUpdateGroup={updateCategoryGroup}
+            onReorderGroup={reorderCategoryGroup}
+            onDeleteGroup={deleteCategoryGroup}
             data={data}
+            month={selectedMonth}
+            onMonthChange={setSelectedMonth}
           />
         }
         {view === 'transactions' &&
           <Transactions
             data={data}
+            filters={transactionFilters}
+            onFiltersChange={setTransactionFilters}
             onAdd={addTransaction}
+            onUpdate={updateTransaction}
+            onDelete={deleteTransaction}
+            onToggleCleared={toggleCleared}
+          />
+        }
+        {view === 'scheduled' &&
+          <Scheduled
+            data={data}
+            onAdd={addSchedule}
+            onDelete={deleteSchedule}
           />
         }
+        {view === 'budgets' &&
+          <Budgets
+            budgets={budgets}
+            activeId={budgetId}
+            onSwitch={switchBudget}
+            onCreate={addBudget}
+            onRename={changeBudgetName}
+            onDuplicate={duplicateBudget}
+            onDelete={removeBudget}
+          />
+        }
+        {view === 'payees' &&
+          <Payees
+            data={data}
+            onRename={renamePayee}
+            onDelete={deletePayee}
+            onAddRule={addRule}
+            onDeleteRule={deleteRule}
+          />
+        }
+        {view === 'backups' &&
+          <>
+            <Backups
+              data={data}
+              budgetId={budgetId}
+              onCreate={() => takeSnapshot(budgetId, data, 'manual')}
+              onRestore={restoreSnapshot}
+            />
+            <EncryptionSettings enabled={encrypted} onSetPassphrase={changeEncryption} onLock={lock} />
+          </>
+        }
+        {view === 'reports' &&
+          <Reports data={data} onShowTransactions={showTransactions} />
+        }
+        {view === 'settings' &&
+          <Settings settings={formatPrefs} currency={baseCurrency(data)} onChange={changeFormatSettings} />
+        }
         {view === 'account' &&
           <AccountDetail
-            account={data.accounts.find(a => a.id === selectedAccount)}
-            transactions={data.transactions.filter(tx => tx.accountId === selectedAccount)}
+            account={findAccount(data, selectedAccount)}
+            transactions={transactionsForAccount(data.transactions, selectedAccount)}
             onBack={() => setView('accounts')}
-            categories={data.categories}
+            data={data}
+            onUpdate={updateTransaction}
+            onDelete={deleteTransaction}
+            onToggleCleared={toggleCleared}
+            onReconcile={finishReconcile}
+            onSearch={showTransactions}
           />
         }
       </div>
       <Footer />
       
+      {toast && (
+        <Toast
+          key={toast.id}
+          message={toast.message}
+          actionLabel="Undo"
+          onAction={handleUndo}
+          onClose={dismissToast}
+        />
+      )}
+
+      {showExport && (
+        <ExportModal
+          budgetName={budgetName}
+          onExport={passphrase => exportData(data, budgetName, passphrase)}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {passphraseModal}
+
       {/* Quick Add Transaction Modal */}
       {showQuickAdd && (
         <QuickAddModal
@@ -223,23 +910,116 @@ function App() {
           onClose={() => setShowQuickAdd(false)}
         />
       )}
+
+      {statementFile && (
+        <StatementImport
+          file={statementFile}
+          data={data}
+          onImport={transactions => { reviewIncoming(transactions); setStatementFile(null); }}
+          onCancel={() => setStatementFile(null)}
+        />
+      )}
+
+      {pendingImport && (
+        <BalanceCheckModal
+          mismatches={pendingImport.mismatches}
+          onAdjust={() => { acceptImportedData(reconcileStoredBalances(pendingImport.data, pendingImport.mismatches), pendingImport.mode); setPendingImport(null); }}
+          onKeepTransactions={() => { acceptImportedData(stripStoredBalances(pendingImport.data), pendingImport.mode); setPendingImport(null); }}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {invalidImport && (
+        <ImportValidationModal
+          incoming={invalidImport.data}
+          problems={invalidImport.problems}
+          data={data}
+          onRepair={() => { receiveImportedData(repairDataset(invalidImport.data).data); setInvalidImport(null); }}
+          onMerge={() => { receiveImportedData(repairDataset(invalidImport.data, data).data, 'merge'); setInvalidImport(null); }}
+          onCancel={() => setInvalidImport(null)}
+        />
+      )}
+
+      {jsonImport && (
+        <ImportModeModal
+          incoming={jsonImport}
+          onReplace={() => {
+            snapshotBefore('replace');
+            setData(jsonImport, 'Replace budget');
+            setJsonImport(null);
+            notify('Budget replaced with the imported file');
+          }}
+          onMerge={() => { mergeImportedData(jsonImport); setJsonImport(null); }}
+          onNewBudget={() => {
+            addBudget('Imported budget', jsonImport).catch(setSaveError);
+            setJsonImport(null);
+          }}
+          onCancel={() => setJsonImport(null)}
+        />
+      )}
+
+      {importReview && (
+        <DuplicateReview
+          incoming={importReview.transactions}
+          data={data}
+          additions={importReview.additions}
+          onConfirm={decisions => { applyImport(decisions, importReview.additions); setImportReview(null); }}
+          onCancel={() => setImportReview(null)}
+        />
+      )}
     </div>
   );
 }
 
 // AppBar: navigation bar
-function AppBar({ setView, view }) {
+const MANAGE_BUDGETS = '__manage';
+function AppBar({ setView, view, budgets, budgetId, onSwitchBudget, undoLabel, redoLabel, onUndo, onRedo }) {
+  const handleBudgetChange = (e) => {
+    if (e.target.value === MANAGE_BUDGETS) setView('budgets');
+    else onSwitchBudget(e.target.value);
+  };
   return (
     <div className="app-bar py-4 px-4 flex items-center justify-between">
-      <span className="app-title cursor-pointer" onClick={() => setView('dashboard')}>
-        QuestionableBudget <span className="app-version">v2</span>
-      </span>
+      <div className="flex items-center gap-4">
+        <span className="app-title cursor-pointer" onClick={() => setView('dashboard')}>
+          QuestionableBudget <span className="app-version">v2</span>
+        </span>
+        <select className="budget-switcher" value={budgetId || ''} onChange={handleBudgetChange} aria-label="Budget">
+          {budgets.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+          <option value={MANAGE_BUDGETS}>Manage budgets…</option>
+        </select>
+      </div>
       <nav className="nav-container">
         <NavButton text="Dashboard" onClick={() => setView('dashboard')} active={view === 'dashboard'} />
         <NavButton text="Accounts" onClick={() => setView('accounts')} active={view === 'accounts'} />
         <NavButton text="Categories" onClick={() => setView('categories')} active={view === 'categories'} />
         <NavButton text="Transactions" onClick={() => setView('transactions')} active={view === 'transactions'} />
+        <NavButton text="Reports" onClick={() => setView('reports')} active={view === 'reports'} />
+        <NavButton text="Scheduled" onClick={() => setView('scheduled')} active={view === 'scheduled'} />
+        <NavButton text="Payees" onClick={() => setView('payees')} active={view === 'payees'} />
+        <NavButton text="Backups" onClick={() => setView('backups')} active={view === 'backups'} />
+        <NavButton text="Settings" onClick={() => setView('settings')} active={view === 'settings'} />
       </nav>
+      <div className="history-controls">
+        <button
+          className="nav-button"
+          onClick={onUndo}
+          disabled={!undoLabel}
+          title={undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+          aria-label="Undo"
+        >
+          ↶
+        </button>
+        <button
+          className="nav-button"
+          onClick={onRedo}
+          disabled={!redoLabel}
+          title={redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          aria-label="Redo"
+        >
+          ↷
+        </button>
+      </div>
     </div>
   );
 }
@@ -252,48 +1032,57 @@ function NavButton({ text, onClick, active }) {
 }
 
 // Dashboard: Main summary
-function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExportData, onFileUpload, onDragOver, onDragLeave, onDrop, isLoading, onQuickAdd }) {
-  const totalBalance = data.accounts.reduce((s, a) => s + a.balance, 0);
-  const totalBudgeted = data.categories.reduce((s, c) => s + c.budgeted, 0);
-  const totalActivity = data.transactions.reduce((s, t) => s + t.amount, 0);
-  const availableToBudget = totalBalance - totalBudgeted;
-
-  // Calculate spending insights
-  const thisMonth = new Date().toISOString().slice(0, 7);
-  const thisMonthSpending = data.transactions
-    .filter(tx => tx.date.startsWith(thisMonth) && tx.amount < 0)
-    .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
-
-  const lastMonth = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 7);
-  const lastMonthSpending = data.transactions
-    .filter(tx => tx.date.startsWith(lastMonth) && tx.amount < 0)
-    .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExportData, onFileUpload, onDragOver, onDragLeave, onDrop, isLoading, onQuickAdd, month, onMonthChange, onShowTransactions, onFundTargets }) {
+  // Totals are in the base currency; single transactions keep their own
+  const base = baseCurrency(data);
+  const noRate = missingRates(data);
+  const totalBalance = computeTotalBalance(data);
+  const availableToBudget = computeAvailableToBudget(data, month);
+
+  // Calculate spending insights for the selected month
+  // Future-dated entries are pending, so they don't count as spent yet
+  const today = localDay();
+  const spentIn = m => transactionsInMonth(data.transactions, m)
+    .filter(tx => tx.amount < 0 && !isUncategorized(tx) && !isPending(tx, today))
+    .reduce((sum, tx) => sum + Math.abs(baseAmount(data, tx)), 0);
+  const thisMonthSpending = spentIn(month);
+  const lastMonthSpending = spentIn(shiftMonth(month, -1));
 
   const spendingChange = lastMonthSpending > 0 ? ((thisMonthSpending - lastMonthSpending) / lastMonthSpending * 100) : 0;
 
   // Prepare chart data
-  const spendingByCategory = data.categories.map(cat => {
-    const spending = data.transactions
-      .filter(tx => tx.categoryId === cat.id && tx.amount < 0)
-      .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
-    return {
-      label: cat.name,
-      value: spending
-    };
-  }).filter(item => item.value > 0).sort((a, b) => b.value - a.value);
-
-  const budgetStatus = data.categories.map(cat => {
-    const spending = data.transactions
-      .filter(tx => tx.categoryId === cat.id && tx.amount < 0)
-      .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
-    const available = cat.budgeted + spending;
-    return {
-      ...cat,
-      spending,
-      available,
-      status: available >= 0 ? 'good' : 'over'
-    };
-  });
+  const spendingByCategory = data.categories.map(cat => ({
+    id: cat.id,
+    label: cat.name,
+    value: Math.abs(categoryOutflow(data, cat.id))
+  })).filter(item => item.value > 0).sort((a, b) => b.value - a.value);
+
+  const upcoming = upcomingOccurrences(data, 30).slice(0, 6);
+
+  // Transfers appear once, from the account the money left. Walks back from
+  // the newest entry so it never scans the whole history.
+  const recentActivity = [];
+  for (let i = data.transactions.length - 1; i >= 0 && recentActivity.length < 5; i--) {
+    const tx = data.transactions[i];
+    if (!(isTransfer(tx) && tx.amount > 0)) recentActivity.push(tx);
+  }
+
+  // Every category in the groups that aren't hidden, with a subtotal per group
+  const budgetStatus = groupedCategories(data, { includeHidden: false }).map(({ group, categories }) => {
+    const items = categories.map(cat => {
+      const summary = categoryMonthSummary(data, cat, month);
+      return {
+        ...cat,
+        budgeted: summary.budgeted,
+        spending: Math.max(0, -summary.activity),
+        available: summary.available,
+        status: summary.available >= 0 ? 'good' : 'over',
+        target: targetStatus(data, cat, month)
+      };
+    });
+    return { group, items, ...sumSummaries(items, ['budgeted', 'spending', 'available']) };
+  }).filter(section => section.items.length > 0);
+  const showGroups = categoryGroups(data).length > 0;
 
   return (
     <div className="animate-fade-in">
@@ -317,13 +1106,25 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
         </div>
       </div>
 
+      <MonthPicker month={month} onChange={onMonthChange} />
+
+      {noRate.length > 0 && (
+        <div className="currency-warning" role="alert">
+          <span>
+            No exchange rate for {noRate.join(', ')}, so accounts in {noRate.length === 1 ? 'that currency are' : 'those currencies are'}
+            left out of totals in {base}.
+          </span>
+          <button className="btn btn-secondary btn-sm" onClick={() => setView('accounts')}>Set rates</button>
+        </div>
+      )}
+
       {/* Key Metrics */}
       <div className="metrics-grid">
         <div className="metric-card primary">
           <div className="metric-icon">💰</div>
           <div className="metric-content">
             <div className="metric-label">Available to Budget</div>
-            <div className="metric-value">{formatCurrency(availableToBudget)}</div>
+            <div className="metric-value">{formatCurrency(availableToBudget, base)}</div>
             <div className="metric-change">
               {availableToBudget >= 0 ? '✅ On track' : '⚠️ Over budget'}
             </div>
@@ -334,7 +1135,7 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
           <div className="metric-icon">💳</div>
           <div className="metric-content">
             <div className="metric-label">Total Balance</div>
-            <div className="metric-value">{formatCurrency(totalBalance)}</div>
+            <div className="metric-value">{formatCurrency(totalBalance, base)}</div>
             <div className="metric-change">
               {data.accounts.length} account{data.accounts.length !== 1 ? 's' : ''}
             </div>
@@ -344,8 +1145,8 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
         <div className="metric-card">
           <div className="metric-icon">📈</div>
           <div className="metric-content">
-            <div className="metric-label">This Month</div>
-            <div className="metric-value">{formatCurrency(thisMonthSpending)}</div>
+            <div className="metric-label">{month === currentMonth() ? 'This Month' : formatMonth(month)}</div>
+            <div className="metric-value">{formatCurrency(thisMonthSpending, base)}</div>
             <div className={`metric-change ${spendingChange > 0 ? 'negative' : 'positive'}`}>
               {spendingChange > 0 ? '↗️' : '↘️'} {Math.abs(spendingChange).toFixed(1)}% vs last month
             </div>
@@ -357,10 +1158,13 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
       <div className="section">
         <div className="section-header">
           <h2 className="section-title">Budget Overview</h2>
-          <button className="btn btn-sm" onClick={() => setView('categories')}>Manage</button>
+          <div className="flex gap-2">
+            <FundUnderfundedButton data={data} month={month} onFund={onFundTargets} />
+            <button className="btn btn-sm" onClick={() => setView('categories')}>Manage</button>
+          </div>
         </div>
         
-        {budgetStatus.length === 0 ? (
+        {data.categories.length === 0 ? (
           <div className="empty-state">
             <div className="empty-icon">📊</div>
             <h3>No budget categories yet</h3>
@@ -369,50 +1173,120 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
               Create Budget
             </button>
           </div>
+        ) : budgetStatus.length === 0 ? (
+          <p className="text-gray-500">Every category group is hidden. Show them again from Categories.</p>
         ) : (
-          <div className="budget-grid">
-            {budgetStatus.slice(0, 6).map(cat => (
-              <div key={cat.id} className={`budget-item ${cat.status}`}>
-                <div className="budget-header">
-                  <span className="budget-name">{cat.name}</span>
-                  <span className="budget-amount">{formatCurrency(cat.available)}</span>
-                </div>
-                <div className="budget-bar">
-                  <div 
-                    className="budget-progress" 
-                    style={{ 
-                      width: `${Math.min(100, (cat.budgeted / Math.max(cat.budgeted, Math.abs(cat.spending))) * 100)}%` 
-                    }}
-                  />
+          budgetStatus.map(({ group, items, budgeted, spending, available }) => (
+            <div key={group.id || 'ungrouped'} className="budget-group">
+              {showGroups && (
+                <div className="budget-group-header">
+                  <span className="budget-group-name">{group.name}</span>
+                  <span className="text-sm text-gray-500">
+                    Budgeted {formatCurrency(budgeted, base)} · Spent {formatCurrency(spending, base)} ·{' '}
+                    <span className={available >= 0 ? 'text-success' : 'text-error'}>{formatCurrency(available, base)} available</span>
+                  </span>
                 </div>
-                <div className="budget-details">
-                  <span>Budgeted: {formatCurrency(cat.budgeted)}</span>
-                  <span>Spent: {formatCurrency(cat.spending)}</span>
+              )}
+              {!group.collapsed && (
+                <div className="budget-grid">
+                  {items.map(cat => (
+                    <div
+                      key={cat.id}
+                      className={`budget-item clickable ${cat.status}`}
+                      onClick={() => onShowTransactions(categoryMonthFilters(cat.id, month))}
+                      title={`Show ${cat.name} transactions for ${formatMonth(month)}`}
+                    >
+                      <div className="budget-header">
+                        <span className="budget-name">{cat.name}</span>
+                        <span className="budget-amount">{formatCurrency(cat.available, base)}</span>
+                      </div>
+                      <div className="budget-bar">
+                        <div 
+                          className="budget-progress" 
+                          style={{ 
+                            width: `${Math.min(100, (cat.budgeted / Math.max(cat.budgeted, cat.spending, 1)) * 100)}%` 
+                          }}
+                        />
+                      </div>
+                      <div className="budget-details">
+                        <span>Budgeted: {formatCurrency(cat.budgeted, base)}</span>
+                        <span>Spent: {formatCurrency(cat.spending, base)}</span>
+                      </div>
+                      {cat.target && <TargetProgress status={cat.target} currency={base} />}
+                    </div>
+                  ))}
                 </div>
-              </div>
-            ))}
-          </div>
+              )}
+            </div>
+          ))
         )}
       </div>
 
       {/* Charts Section */}
       {spendingByCategory.length > 0 && (
         <div className="charts-section">
-          <div className="chart-container chart-large">
+          <div className="chart-large">
             <PieChart 
               data={spendingByCategory.slice(0, 6)} 
               title="Spending Breakdown" 
+              formatValue={value => formatCurrency(value, base)}
+              onSelect={item => onShowTransactions({ ...emptyFilters(), categoryId: item.id })}
             />
           </div>
-          <div className="chart-container">
-            <BarChart 
-              data={spendingByCategory.slice(0, 5)} 
-              title="Top Categories" 
-            />
+          <BarChart 
+            data={spendingByCategory.slice(0, 5)} 
+            title="Top Categories" 
+            formatValue={value => formatCurrency(value, base)}
+            onSelect={item => onShowTransactions({ ...emptyFilters(), categoryId: item.id })}
+          />
+        </div>
+      )}
+
+      {/* Upcoming scheduled transactions */}
+      {upcoming.length > 0 && (
+        <div className="section">
+          <div className="section-header">
+            <h2 className="section-title">Upcoming</h2>
+            <button className="btn btn-sm" onClick={() => setView('scheduled')}>Manage</button>
+          </div>
+          <div className="activity-list">
+            {upcoming.map(({ schedule, date }) => (
+              <div key={`${schedule.id}-${date}`} className="activity-item upcoming">
+                <div className="activity-icon">🗓️</div>
+                <div className="activity-content">
+                  <div className="activity-description">
+                    <span className="activity-memo">{schedule.memo || 'Scheduled transaction'}</span>
+                    <span className="activity-category">{findCategory(data, schedule.categoryId)?.name}</span>
+                  </div>
+                  <div className="activity-meta">
+                    <span className="activity-account">{findAccount(data, schedule.accountId)?.name}</span>
+                    <span className="activity-date">{formatDate(date)}</span>
+                  </div>
+                </div>
+                <div className={`activity-amount ${schedule.amount > 0 ? 'positive' : 'negative'}`}>
+                  {formatCurrency(schedule.amount, accountCurrency(data, schedule.accountId))}
+                </div>
+              </div>
+            ))}
           </div>
         </div>
       )}
 
+      {/* Import */}
+      <div className="section">
+        <div className="section-header">
+          <h2 className="section-title">Import Data</h2>
+        </div>
+        <label className="file-upload" onDragOver={onDragOver} onDragLeave={onDragLeave} onDrop={onDrop}>
+          <div className="file-upload-icon">📁</div>
+          <div className="file-upload-text">Drop a budget file here or click to browse</div>
+          <div className="file-upload-subtext">
+            JSON budget files can replace or merge with your data · CSV, OFX and QIF bank statements are added to an account
+          </div>
+          <input type="file" accept=".json,.csv,.ofx,.qfx,.qif" className="file-input" onChange={onFileUpload} disabled={isLoading} />
+        </label>
+      </div>
+
       {/* Recent Activity */}
       <div className="section">
         <div className="section-header">
@@ -430,26 +1304,28 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
           </div>
         ) : (
           <div className="activity-list">
-            {data.transactions.slice(-5).reverse().map(tx => {
-              const account = data.accounts.find(a => a.id === tx.accountId);
-              const category = data.categories.find(c => c.id === tx.categoryId);
+            {recentActivity.map(tx => {
+              const account = findAccount(data, tx.accountId);
               return (
-                <div key={tx.id} className="activity-item">
+                <div key={tx.id} className={`activity-item ${isTransfer(tx) ? 'transfer' : ''}`}>
                   <div className="activity-icon">
-                    {tx.amount > 0 ? '💰' : '💸'}
+                    {isTransfer(tx) ? '🔁' : tx.amount > 0 ? '💰' : '💸'}
                   </div>
                   <div className="activity-content">
                     <div className="activity-description">
-                      <span className="activity-memo">{tx.memo || 'Transaction'}</span>
-                      <span className="activity-category">{category?.name}</span>
+                      <span className="activity-memo">
+                        {payeeName(data, tx.payeeId) || tx.memo || (isTransfer(tx) ? 'Transfer' : 'Transaction')}
+                      </span>
+                      <span className="activity-category">{categoryLabel(tx, data)}</span>
                     </div>
                     <div className="activity-meta">
                       <span className="activity-account">{account?.name}</span>
                       <span className="activity-date">{formatDate(tx.date)}</span>
+                      {isPending(tx, today) && <span className="pending-badge">Pending</span>}
                     </div>
                   </div>
-                  <div className={`activity-amount ${tx.amount > 0 ? 'positive' : 'negative'}`}>
-                    {formatCurrency(tx.amount)}
+                  <div className={`activity-amount ${isTransfer(tx) ? '' : tx.amount > 0 ? 'positive' : 'negative'}`}>
+                    {formatCurrency(isTransfer(tx) ? Math.abs(tx.amount) : tx.amount, accountCurrency(data, tx.accountId))}
                   </div>
                 </div>
               );
@@ -462,8 +1338,10 @@ function Dashboard({ data, setView, setSelectedAccount, onLoadSampleData, onExpo
 }
 
 // Accounts list/add
-function Accounts({ accounts, onAdd, onSelect }) {
-  const [form, setForm] = useState({ name: '', balance: 0 });
+function Accounts({ data, balances, onAdd, onSelect }) {
+  const { accounts } = data;
+  const base = baseCurrency(data);
+  const [form, setForm] = useState({ name: '', balance: 0, currency: '' });
   return (
     <div className="section animate-fade-in">
       <div className="section-header">
@@ -484,7 +1362,14 @@ function Accounts({ accounts, onAdd, onSelect }) {
             <li key={acc.id} className="list-item">
               <div className="list-item-content">
                 <span className="font-semibold text-lg">{acc.name}</span>
-                <span className="font-mono text-xl font-bold">{formatCurrency(acc.balance)}</span>
+                <span className="font-mono text-xl font-bold">{formatCurrency(balances[acc.id], acc.currency || base)}</span>
+                {(acc.currency || base) !== base && (
+                  <span className="text-sm text-gray-500">
+                    {rateFor(data, acc.currency) === null
+                      ? `No ${acc.currency} rate set`
+                      : `≈ ${formatCurrency(toBase(data, balances[acc.id], acc.currency), base)}`}
+                  </span>
+                )}
               </div>
               <div className="list-item-actions">
                 <button className="btn btn-primary btn-sm" onClick={() => onSelect(acc.id)}>
@@ -512,18 +1397,28 @@ function Accounts({ accounts, onAdd, onSelect }) {
             <label className="form-label">Starting Balance</label>
             <input
               className="form-input"
-              type="number"
-              step="0.01"
+              type="text"
+              inputMode="decimal"
               placeholder="0.00"
               value={form.balance}
               onChange={e => setForm(f => ({ ...f, balance: e.target.value }))}
             />
           </div>
+          <div className="form-group">
+            <label className="form-label">Currency</label>
+            <select
+              className="form-input"
+              value={form.currency || base}
+              onChange={e => setForm(f => ({ ...f, currency: e.target.value }))}
+            >
+              {[...new Set([base, ...COMMON_CURRENCIES])].map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </div>
           <div className="form-group">
             <button className="btn btn-success btn-lg"
               onClick={() => {
-                onAdd(form.name, form.balance);
-                setForm({ name: '', balance: 0 });
+                onAdd(form.name, form.balance, form.currency || base);
+                setForm({ name: '', balance: 0, currency: '' });
               }}>
               Add Account
             </button>
@@ -534,55 +1429,224 @@ function Accounts({ accounts, onAdd, onSelect }) {
   );
 }
 
-// Categories list/add/budgeting
-function Categories({ categories, onAdd, onBudget, data }) {
-  const [form, setForm] = useState({ name: '', amount: 0 });
+// Categories list/add/budgeting, arranged in groups with subtotals
+function Categories({
+  categories, onAdd, onBudget, onMoveCategory, onSetTarget, onFundTargets, onQuickBudget, onMoveMoney, onAddGroup, onUpdateGroup, onReorderGroup, onDeleteGroup, data, month, onMonthChange
+}) {
+  const [form, setForm] = useState({ name: '', groupId: UNGROUPED });
+  const [groupName, setGroupName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [targetFor, setTargetFor] = useState(null);
+  const [showQuickBudget, setShowQuickBudget] = useState(false);
+  const [moving, setMoving] = useState(null);
+  const [showHidden, setShowHidden] = useState(false);
+  const base = baseCurrency(data);
+  const groups = categoryGroups(data);
+  const hiddenCount = groups.filter(g => g.hidden).length;
+  const sections = groupedCategories(data, { includeHidden: showHidden });
+
+  // Covers an overspent category from the one with the most money available
+  function coverOverspending(cat, available) {
+    const from = data.categories
+      .filter(c => c.id !== cat.id)
+      .map(c => ({ id: c.id, available: categoryMonthSummary(data, c, month).available }))
+      .sort((a, b) => b.available - a.available)[0];
+    setMoving({ fromId: from?.available > 0 ? from.id : '', toId: cat.id, amount: -available });
+  }
+
+  function handleRename(e) {
+    e.preventDefault();
+    if (editing.name.trim()) onUpdateGroup(editing.id, { name: editing.name.trim() }, 'Rename category group');
+    setEditing(null);
+  }
+
   return (
     <div className="section animate-fade-in">
       <div className="section-header">
         <h2 className="section-title">Budget Categories</h2>
         <p className="section-subtitle">Organize your spending with budget categories</p>
       </div>
+
+      <div className="flex items-center justify-between gap-2">
+        <MonthPicker month={month} onChange={onMonthChange} />
+        <div className="flex gap-2">
+          <FundUnderfundedButton data={data} month={month} onFund={onFundTargets} />
+          {categories.length > 0 && (
+            <>
+              <button className="btn btn-secondary btn-sm" onClick={() => setShowQuickBudget(true)}>Quick Budget</button>
+              <button className="btn btn-secondary btn-sm" onClick={() => setMoving({})}>Move Money</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {showQuickBudget && (
+        <QuickBudget
+          data={data}
+          month={month}
+          onApply={amounts => { onQuickBudget(month, amounts); setShowQuickBudget(false); }}
+          onCancel={() => setShowQuickBudget(false)}
+        />
+      )}
+      {moving && (
+        <MoveMoney
+          data={data}
+          month={month}
+          initial={moving}
+          onMove={(fromId, toId, amount) => { onMoveMoney(fromId, toId, month, amount); setMoving(null); }}
+          onCancel={() => setMoving(null)}
+        />
+      )}
       
-      {categories.length === 0 && (
+      {categories.length === 0 && groups.length === 0 && (
         <div className="text-center py-12">
           <p className="text-gray-500 text-lg mb-4">No categories yet</p>
           <p className="text-gray-400">Create your first budget category to start tracking expenses</p>
         </div>
       )}
+
+      {hiddenCount > 0 && (
+        <button className="btn btn-secondary btn-sm mb-4" onClick={() => setShowHidden(s => !s)}>
+          {showHidden ? 'Hide hidden groups' : `Show hidden groups (${hiddenCount})`}
+        </button>
+      )}
       
-      {categories.length > 0 && (
-        <div className="space-y-4 mb-6">
-          {categories.map(cat => {
-            const activity = data.transactions.filter(tx => tx.categoryId === cat.id).reduce((s, t) => s + t.amount, 0);
-            const available = (cat.budgeted || 0) + activity;
-            return (
-              <div key={cat.id} className="bg-gray-50 p-6 rounded-lg border">
-                <div className="flex items-center justify-between mb-4">
-                  <h3 className="text-lg font-semibold">{cat.name}</h3>
-                  <BudgetQuickAdd onBudget={amt => onBudget(cat.id, amt)} />
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                  <div className="text-center">
-                    <p className="text-sm text-gray-600 mb-1">Budgeted</p>
-                    <p className="text-lg font-mono font-bold">{formatCurrency(cat.budgeted || 0)}</p>
+      <div className="space-y-4 mb-6">
+        {sections.map(({ group, categories: members }) => {
+          const summaries = members.map(cat => ({ cat, ...categoryMonthSummary(data, cat, month), target: targetStatus(data, cat, month) }));
+          const subtotal = sumSummaries(summaries, ['budgeted', 'activity', 'available']);
+          const needed = summaries.reduce((s, summary) => s + (summary.target?.needed || 0), 0);
+          const grouped = group.id !== UNGROUPED;
+          const position = groups.indexOf(group);
+          return (
+            <div key={group.id || 'ungrouped'} className={`category-group ${group.hidden ? 'hidden-group' : ''}`}>
+              {(grouped || groups.length > 0) && (
+                <div className="category-group-header">
+                  {editing?.id === group.id ? (
+                    <form onSubmit={handleRename} className="flex gap-2">
+                      <input
+                        className="form-input"
+                        value={editing.name}
+                        onChange={e => setEditing(ed => ({ ...ed, name: e.target.value }))}
+                        aria-label="Group name"
+                        autoFocus
+                      />
+                      <button className="btn btn-primary btn-sm" type="submit">Save</button>
+                      <button className="btn btn-secondary btn-sm" type="button" onClick={() => setEditing(null)}>Cancel</button>
+                    </form>
+                  ) : (
+                    <button
+                      className="category-group-toggle"
+                      disabled={!grouped}
+                      aria-expanded={!group.collapsed}
+                      onClick={() => onUpdateGroup(group.id, { collapsed: !group.collapsed }, group.collapsed ? 'Expand category group' : 'Collapse category group')}
+                    >
+                      {grouped && <span aria-hidden="true">{group.collapsed ? '▸' : '▾'}</span>}
+                      <span className="category-group-name">{group.name}</span>
+                      {group.hidden && <span className="text-sm text-gray-500">Hidden</span>}
+                    </button>
+                  )}
+                  <div className="category-group-totals">
+                    <span>Budgeted <strong className="font-mono">{formatCurrency(subtotal.budgeted, base)}</strong></span>
+                    <span>Activity <strong className="font-mono">{formatCurrency(subtotal.activity, base)}</strong></span>
+                    <span>
+                      Available{' '}
+                      <strong className={`font-mono ${subtotal.available >= 0 ? 'text-success' : 'text-error'}`}>
+                        {formatCurrency(subtotal.available, base)}
+                      </strong>
+                    </span>
+                    {needed > 0 && (
+                      <span>Needed <strong className="font-mono text-warning">{formatCurrency(needed, base)}</strong></span>
+                    )}
                   </div>
-                  <div className="text-center">
-                    <p className="text-sm text-gray-600 mb-1">Activity</p>
-                    <p className="text-lg font-mono font-bold text-gray-700">{formatCurrency(activity)}</p>
+                  {grouped && (
+                    <div className="list-item-actions">
+                      <button className="btn btn-secondary btn-sm" disabled={position === 0} onClick={() => onReorderGroup(group.id, -1)} aria-label={`Move ${group.name} up`}>↑</button>
+                      <button className="btn btn-secondary btn-sm" disabled={position === groups.length - 1} onClick={() => onReorderGroup(group.id, 1)} aria-label={`Move ${group.name} down`}>↓</button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => setEditing({ id: group.id, name: group.name })}>Rename</button>
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => onUpdateGroup(group.id, { hidden: !group.hidden }, group.hidden ? 'Show category group' : 'Hide category group')}
+                      >
+                        {group.hidden ? 'Show' : 'Hide'}
+                      </button>
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => window.confirm(`Delete the group "${group.name}"? Its categories are kept as ungrouped.`) && onDeleteGroup(group.id)}
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+              {!(grouped && group.collapsed) && members.length === 0 && (
+                <p className="text-sm text-gray-500">No categories in this group yet.</p>
+              )}
+              {!(grouped && group.collapsed) && summaries.map(({ cat, budgeted, activity, carryover, available, target }) => (
+                <div key={cat.id} className="bg-gray-50 p-6 rounded-lg border">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">{cat.name}</h3>
+                    <div className="flex gap-2">
+                      {groups.length > 0 && (
+                        <select
+                          className="form-input"
+                          value={groups.some(g => g.id === cat.groupId) ? cat.groupId : UNGROUPED}
+                          onChange={e => onMoveCategory(cat.id, e.target.value)}
+                          aria-label={`Group for ${cat.name}`}
+                        >
+                          {groups.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                          <option value={UNGROUPED}>Ungrouped</option>
+                        </select>
+                      )}
+                      <button className="btn btn-secondary btn-sm" onClick={() => setTargetFor(targetFor === cat.id ? null : cat.id)}>
+                        {cat.target ? 'Edit Target' : 'Set Target'}
+                      </button>
+                      <BudgetQuickAdd currency={base} onBudget={amt => onBudget(cat.id, month, amt)} />
+                    </div>
                   </div>
-                  <div className="text-center">
-                    <p className="text-sm text-gray-600 mb-1">Available</p>
-                    <p className={`text-lg font-mono font-bold ${available >= 0 ? 'text-success' : 'text-error'}`}>
-                      {formatCurrency(available)}
-                    </p>
+                  {targetFor === cat.id && (
+                    <TargetForm
+                      target={cat.target}
+                      currency={base}
+                      onSave={next => { onSetTarget(cat.id, next); setTargetFor(null); }}
+                      onRemove={() => { onSetTarget(cat.id, null); setTargetFor(null); }}
+                      onCancel={() => setTargetFor(null)}
+                    />
+                  )}
+                  {target && targetFor !== cat.id && <TargetProgress status={target} currency={base} />}
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="text-center">
+                      <p className="text-sm text-gray-600 mb-1">Budgeted</p>
+                      <p className="text-lg font-mono font-bold">{formatCurrency(budgeted, base)}</p>
+                      {carryover !== 0 && (
+                        <p className={`text-sm ${carryover >= 0 ? 'text-gray-500' : 'text-error'}`}>
+                          {carryover >= 0 ? 'Rolled over' : 'Overspent last month'}: {formatCurrency(carryover, base)}
+                        </p>
+                      )}
+                    </div>
+                    <div className="text-center">
+                      <p className="text-sm text-gray-600 mb-1">Activity</p>
+                      <p className="text-lg font-mono font-bold text-gray-700">{formatCurrency(activity, base)}</p>
+                    </div>
+                    <div className="text-center">
+                      <p className="text-sm text-gray-600 mb-1">Available</p>
+                      <p className={`text-lg font-mono font-bold ${available >= 0 ? 'text-success' : 'text-error'}`}>
+                        {formatCurrency(available, base)}
+                      </p>
+                      {available < 0 && (
+                        <button className="btn btn-secondary btn-sm mt-2" onClick={() => coverOverspending(cat, available)}>
+                          Cover Overspending
+                        </button>
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
-            );
-          })}
-        </div>
-      )}
+              ))}
+            </div>
+          );
+        })}
+      </div>
       
       <div className="border-t pt-6">
         <h3 className="text-lg font-semibold mb-4">Add New Category</h3>
@@ -596,68 +1660,153 @@ function Categories({ categories, onAdd, onBudget, data }) {
               onChange={e => setForm(f => ({ ...f, name: e.target.value }))}
             />
           </div>
+          {groups.length > 0 && (
+            <div className="form-group">
+              <label className="form-label">Group</label>
+              <select className="form-input" value={form.groupId} onChange={e => setForm(f => ({ ...f, groupId: e.target.value }))}>
+                {groups.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                <option value={UNGROUPED}>Ungrouped</option>
+              </select>
+            </div>
+          )}
           <div className="form-group">
             <button className="btn btn-primary btn-lg"
               onClick={() => {
-                onAdd(form.name);
-                setForm({ name: '', amount: 0 });
+                onAdd(form.name, form.groupId);
+                setForm(f => ({ ...f, name: '' }));
               }}>
               Add Category
             </button>
           </div>
         </div>
+
+        <h3 className="text-lg font-semibold mb-4 mt-6">Add New Group</h3>
+        <form
+          className="flex gap-2"
+          onSubmit={e => {
+            e.preventDefault();
+            onAddGroup(groupName);
+            setGroupName('');
+          }}
+        >
+          <input
+            className="form-input"
+            placeholder="e.g., Fixed Bills, Everyday, Savings Goals"
+            value={groupName}
+            onChange={e => setGroupName(e.target.value)}
+            aria-label="New group name"
+          />
+          <button className="btn btn-primary" type="submit">Add Group</button>
+        </form>
       </div>
     </div>
   );
 }
-function BudgetQuickAdd({ onBudget }) {
+// Assigns what every underfunded target still needs this month, after confirming the total
+function FundUnderfundedButton({ data, month, onFund }) {
+  const plan = fundingPlan(data, month);
+  if (plan.length === 0) return null;
+  const base = baseCurrency(data);
+  const total = plan.reduce((s, item) => s + item.amount, 0);
+  const available = computeAvailableToBudget(data, month);
+  function handleClick() {
+    const warning = total > available ? `\n\nThat's more than the ${formatCurrency(available, base)} available to budget.` : '';
+    const message = `Assign ${formatCurrency(total, base)} to ${plan.length} underfunded categor${plan.length === 1 ? 'y' : 'ies'} for ${formatMonth(month)}?${warning}`;
+    if (window.confirm(message)) onFund(month);
+  }
+  return (
+    <button className="btn btn-primary btn-sm" onClick={handleClick}>
+      Fund Underfunded ({formatCurrency(total, base)})
+    </button>
+  );
+}
+
+// Month picker shared by the Dashboard and Categories views
+function MonthPicker({ month, onChange }) {
+  return (
+    <div className="month-picker">
+      <button className="btn btn-secondary btn-sm" onClick={() => onChange(shiftMonth(month, -1))} aria-label="Previous month">‹</button>
+      <input
+        type="month"
+        className="form-input month-picker-input"
+        value={month}
+        onChange={e => e.target.value && onChange(e.target.value)}
+      />
+      <span className="month-picker-label">{formatMonth(month)}</span>
+      <button className="btn btn-secondary btn-sm" onClick={() => onChange(shiftMonth(month, 1))} aria-label="Next month">›</button>
+      {month !== currentMonth() && (
+        <button className="btn btn-sm" onClick={() => onChange(currentMonth())}>Today</button>
+      )}
+    </div>
+  );
+}
+
+// Adds to or takes from a category's budget for the month
+function BudgetQuickAdd({ currency, onBudget }) {
   const [amt, setAmt] = useState('');
+  const change = sign => {
+    const amount = Math.abs(parseAmount(amt)) || 0;
+    if (amount) onBudget(sign * amount);
+    setAmt('');
+  };
   return (
     <div className="flex gap-2">
       <input 
-        type="number" 
-        step="0.01" 
+        type="text"
+        inputMode="decimal"
         className="form-input" 
         style={{ width: '80px' }} 
         value={amt}
         onChange={e => setAmt(e.target.value)} 
-        placeholder="+$" 
+        placeholder={currency}
+        aria-label="Amount to budget"
       />
       <button 
         className="btn btn-success btn-sm"
-        onClick={() => { onBudget(parseFloat(amt || 0)); setAmt(''); }}
+        onClick={() => change(1)}
+        aria-label="Add to budget"
       >
         +
       </button>
+      <button
+        className="btn btn-secondary btn-sm"
+        onClick={() => change(-1)}
+        aria-label="Take from budget"
+      >
+        −
+      </button>
     </div>
   );
 }
 
-// Transactions: list/add
-function Transactions({ data, onAdd }) {
-  const [form, setForm] = useState({
-    accountId: data.accounts[0]?.id || '',
-    categoryId: data.categories[0]?.id || '',
-    amount: '',
-    memo: '',
-  });
-  function handleSubmit(e) {
-    e.preventDefault();
-    if (!form.accountId || !form.categoryId || !form.amount) return;
-    onAdd({
-      accountId: form.accountId,
-      categoryId: form.categoryId,
-      amount: parseFloat(form.amount),
-      memo: form.memo
-    });
-    setForm({ ...form, amount: '', memo: '' });
-  }
+// Transactions: list/add/edit
+function Transactions({ data, filters, onFiltersChange, onAdd, onUpdate, onDelete, onToggleCleared }) {
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const filtered = useMemo(() => filterTransactions(data, data.transactions, filters), [data, filters]);
+  const shown = useMemo(() => sortTransactions(data, filtered, sort), [data, filtered, sort]);
+  // Totals across accounts are in the base currency
+  const totals = useMemo(() => summarize(filtered, tx => baseAmount(data, tx)), [data, filtered]);
+  const running = useMemo(() => runningTotals(filtered, tx => baseAmount(data, tx)), [data, filtered]);
+  const base = baseCurrency(data);
+
   return (
     <div className="section animate-fade-in">
       <div className="section-header">
         <h2 className="section-title">Transactions</h2>
         <p className="section-subtitle">Track your income and expenses</p>
       </div>
+
+      {data.transactions.length > 0 && (
+        <>
+          <TransactionFilters data={data} filters={filters} onChange={onFiltersChange} sort={sort} onSort={setSort} />
+          <div className="filter-summary">
+            <span>{totals.count} of {data.transactions.length} transactions</span>
+            <span>In: <span className="font-mono text-success">{formatCurrency(totals.inflow, base)}</span></span>
+            <span>Out: <span className="font-mono text-error">{formatCurrency(totals.outflow, base)}</span></span>
+            <span>Total: <span className="font-mono font-bold">{formatCurrency(totals.net, base)}</span></span>
+          </div>
+        </>
+      )}
       
       {data.transactions.length === 0 && (
         <div className="text-center py-12">
@@ -666,85 +1815,31 @@ function Transactions({ data, onAdd }) {
         </div>
       )}
       
-      {data.transactions.length > 0 && (
+      {data.transactions.length > 0 && shown.length === 0 && (
+        <div className="text-center py-8">
+          <p className="text-gray-500">No transactions match these filters.</p>
+        </div>
+      )}
+
+      {shown.length > 0 && (
         <div className="mb-6">
-          <ul className="list">
-            {data.transactions.slice().reverse().map(tx =>
-              <li key={tx.id} className="list-item">
-                <div className="list-item-content">
-                  <span className="text-sm text-gray-500 min-w-[80px]">{formatDate(tx.date)}</span>
-                  <span className={`font-mono text-lg font-bold ${tx.amount >= 0 ? 'text-success' : 'text-error'}`}>
-                    {formatCurrency(tx.amount)}
-                  </span>
-                  <span className="font-semibold">{data.accounts.find(a => a.id === tx.accountId)?.name}</span>
-                  <span className="text-gray-600">{data.categories.find(c => c.id === tx.categoryId)?.name}</span>
-                  <span className="italic text-gray-700">{tx.memo}</span>
-                </div>
-              </li>
-            )}
-          </ul>
+          <TransactionList
+            transactions={shown}
+            data={data}
+            runningTotals={running}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+            onToggleCleared={onToggleCleared}
+          />
         </div>
       )}
       
       <div className="border-t pt-6">
         <h3 className="text-lg font-semibold mb-4">Add New Transaction</h3>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="form-group">
-              <label className="form-label">Account</label>
-              <select 
-                className="form-input"
-                value={form.accountId}
-                onChange={e => setForm(f => ({ ...f, accountId: e.target.value }))}
-              >
-                <option value="" disabled>Select Account</option>
-                {data.accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
-              </select>
-            </div>
-            <div className="form-group">
-              <label className="form-label">Category</label>
-              <select 
-                className="form-input"
-                value={form.categoryId}
-                onChange={e => setForm(f => ({ ...f, categoryId: e.target.value }))}
-              >
-                <option value="" disabled>Select Category</option>
-                {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
-              </select>
-            </div>
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="form-group">
-              <label className="form-label">Amount</label>
-              <input 
-                className="form-input"
-                type="number"
-                step="0.01"
-                placeholder="0.00"
-                value={form.amount}
-                onChange={e => setForm(f => ({ ...f, amount: e.target.value }))}
-                required
-              />
-            </div>
-            <div className="form-group">
-              <label className="form-label">Memo</label>
-              <input 
-                className="form-input"
-                type="text"
-                placeholder="Transaction description"
-                value={form.memo}
-                onChange={e => setForm(f => ({ ...f, memo: e.target.value }))}
-              />
-            </div>
-          </div>
-          <div className="flex justify-end">
-            <button className="btn btn-primary btn-lg" type="submit">
-              Add Transaction
-            </button>
-          </div>
-        </form>
+        <TransactionForm data={data} onSubmit={onAdd} />
         <p className="text-gray-500 mt-4 text-sm">
           <strong>Tip:</strong> Use negative amounts for expenses (e.g. <strong>-25.00</strong> for a purchase).
+          Use <strong>Split</strong> to spread one receipt across several categories.
         </p>
       </div>
     </div>
@@ -752,7 +1847,10 @@ function Transactions({ data, onAdd }) {
 }
 
 // Account detail
-function AccountDetail({ account, transactions, onBack, categories }) {
+function AccountDetail({ account, transactions, onBack, data, onUpdate, onDelete, onToggleCleared, onReconcile, onSearch }) {
+  const [reconciling, setReconciling] = useState(false);
+  const newestFirst = useMemo(() => sortTransactions(data, transactions, DEFAULT_SORT), [data, transactions]);
+
   if (!account) return (
     <div className="section animate-fade-in">
       <div className="text-center py-12">
@@ -761,16 +1859,51 @@ function AccountDetail({ account, transactions, onBack, categories }) {
       </div>
     </div>
   );
-  
+  const currency = accountCurrency(data, account.id);
+  const pending = pendingBalance(transactions, account.id);
+
   return (
     <div className="section animate-fade-in">
       <div className="flex items-center gap-4 mb-6">
         <button className="btn btn-secondary" onClick={onBack}>← Back</button>
         <div>
           <h2 className="section-title">{account.name}</h2>
-          <p className="text-2xl font-mono font-bold text-gray-900">{formatCurrency(account.balance)}</p>
+          <p className="text-2xl font-mono font-bold text-gray-900">{formatCurrency(accountBalance(transactions, account.id), currency)}</p>
+          <p className="text-sm text-gray-600">
+            Cleared: <span className="font-mono">{formatCurrency(clearedBalance(transactions, account.id), currency)}</span>
+            {' · '}
+            Uncleared: <span className="font-mono">
+              {formatCurrency(accountBalance(transactions, account.id) - clearedBalance(transactions, account.id), currency)}
+            </span>
+            {pending !== 0 && (
+              <>
+                {' · '}
+                Pending: <span className="font-mono">{formatCurrency(pending, currency)}</span>
+              </>
+            )}
+          </p>
         </div>
+        {!reconciling && (
+          <button className="btn btn-primary btn-sm" onClick={() => setReconciling(true)}>
+            Reconcile
+          </button>
+        )}
+        <button className="btn btn-secondary btn-sm" onClick={() => onSearch({ ...emptyFilters(), accountId: account.id })}>
+          Search &amp; Filter
+        </button>
       </div>
+
+      {reconciling && (
+        <ReconcilePanel
+          transactions={transactions}
+          currency={currency}
+          onFinish={(clearedIds, statementBalance) => {
+            onReconcile(account.id, clearedIds, statementBalance);
+            setReconciling(false);
+          }}
+          onCancel={() => setReconciling(false)}
+        />
+      )}
       
       <div className="border-t pt-6">
         <h3 className="text-lg font-semibold mb-4">Transaction History</h3>
@@ -780,20 +1913,14 @@ function AccountDetail({ account, transactions, onBack, categories }) {
           </div>
         )}
         {transactions.length > 0 && (
-          <ul className="list">
-            {transactions.slice().reverse().map(tx =>
-              <li key={tx.id} className="list-item">
-                <div className="list-item-content">
-                  <span className="text-sm text-gray-500 min-w-[80px]">{formatDate(tx.date)}</span>
-                  <span className={`font-mono text-lg font-bold ${tx.amount >= 0 ? 'text-success' : 'text-error'}`}>
-                    {formatCurrency(tx.amount)}
-                  </span>
-                  <span className="text-gray-600">{categories.find(c => c.id === tx.categoryId)?.name}</span>
-                  <span className="italic text-gray-700">{tx.memo}</span>
-                </div>
-              </li>
-            )}
-          </ul>
+          <TransactionList
+            transactions={newestFirst}
+            data={data}
+            showAccount={false}
+            onUpdate={onUpdate}
+            onDelete={onDelete}
+            onToggleCleared={onToggleCleared}
+          />
         )}
       </div>
     </div>
@@ -813,16 +1940,66 @@ function Footer() {
   );
 }
 
-// --- Utility functions ---
-function formatCurrency(amount) {
-  // US-EN for simplicity
-  return "$" + (Number(amount) || 0).toLocaleString(undefined, { minimumFractionDigits: 2 });
-}
-function formatDate(dt) {
-  return dt.slice(0,10);
+// Shown when an imported file's stored balances disagree with its transactions
+function BalanceCheckModal({ mismatches, onAdjust, onKeepTransactions, onCancel }) {
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Balance Check</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          The stored balances in this file don't match its transactions for {mismatches.length} account{mismatches.length !== 1 ? 's' : ''}.
+        </p>
+        <ul className="list mb-4">
+          {mismatches.map(m => (
+            <li key={m.accountId} className="list-item">
+              <div className="list-item-content">
+                <span className="font-semibold">{m.name}</span>
+                <span className="text-sm text-gray-600">Stored: {formatCurrency(m.storedBalance, m.currency)}</span>
+                <span className="text-sm text-gray-600">Transactions: {formatCurrency(m.ledgerBalance, m.currency)}</span>
+                <span className={`font-mono font-bold ${m.difference >= 0 ? 'text-success' : 'text-error'}`}>
+                  {formatCurrency(m.difference, m.currency)}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel Import</button>
+          <button className="btn btn-secondary" onClick={onKeepTransactions}>Use Transactions</button>
+          <button className="btn btn-primary" onClick={onAdjust}>Add Adjustments</button>
+        </div>
+      </div>
+    </div>
+  );
 }
-function genId() {
-  return '_' + Math.random().toString(36).slice(2, 10);
+
+// Asks whether an imported budget file replaces the current data or is merged into it
+function ImportModeModal({ incoming, onReplace, onMerge, onNewBudget, onCancel }) {
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Import Budget File</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          This file has {incoming.accounts.length} account{incoming.accounts.length !== 1 ? 's' : ''} and{' '}
+          {incoming.transactions.length} transaction{incoming.transactions.length !== 1 ? 's' : ''}.
+          Replacing discards this budget's current data. Merging adds anything new and lets you review likely
+          duplicates. A new budget keeps the file separate from this one.
+        </p>
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-secondary" onClick={onNewBudget}>New Budget</button>
+          <button className="btn btn-secondary" onClick={onReplace}>Replace</button>
+          <button className="btn btn-primary" onClick={onMerge}>Merge</button>
+        </div>
+      </div>
+    </div>
+  );
 }
 
 // Quick Add Transaction Modal
@@ -831,17 +2008,31 @@ function QuickAddModal({ data, onAdd, onClose }) {
     accountId: data.accounts[0]?.id || '',
     categoryId: data.categories[0]?.id || '',
     amount: '',
+    date: localDay(),
+    payee: '',
     memo: '',
   });
 
+  // The payee and memo pre-fill the category and account as they're typed
+  const updateDescription = (changes) => {
+    setForm(f => {
+      const next = { ...f, ...changes };
+      return { ...next, ...payeeDefaults(data, next) };
+    });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!form.accountId || !form.categoryId || !form.amount) return;
+    if (!form.accountId || !form.categoryId || !form.amount || !form.date) return;
+    const amount = parseAmount(form.amount);
+    if (!Number.isFinite(amount)) return;
     
     onAdd({
       accountId: form.accountId,
       categoryId: form.categoryId,
-      amount: parseFloat(form.amount),
+      amount,
+      date: form.date,
+      payee: form.payee.trim(),
       memo: form.memo
     });
     
@@ -849,6 +2040,8 @@ function QuickAddModal({ data, onAdd, onClose }) {
       accountId: data.accounts[0]?.id || '',
       categoryId: data.categories[0]?.id || '',
       amount: '',
+      date: localDay(),
+      payee: '',
       memo: ''
     });
     onClose();
@@ -890,17 +2083,35 @@ function QuickAddModal({ data, onAdd, onClose }) {
           
           <div className="form-row">
             <div className="form-group">
-              <label className="form-label">Amount</label>
+              <label className="form-label">Amount ({accountCurrency(data, form.accountId)})</label>
               <input 
                 className="form-input"
-                type="number"
-                step="0.01"
+                type="text"
+                inputMode="decimal"
                 placeholder="0.00"
                 value={form.amount}
                 onChange={e => setForm(f => ({ ...f, amount: e.target.value }))}
                 required
               />
             </div>
+            <div className="form-group">
+              <label className="form-label">Payee</label>
+              <PayeeInput payees={data.payees} value={form.payee} onChange={payee => updateDescription({ payee })} />
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Date</label>
+              <input
+                className="form-input"
+                type="date"
+                value={form.date}
+                onChange={e => setForm(f => ({ ...f, date: e.target.value }))}
+                required
+              />
+              {form.date > localDay() && <span className="text-sm text-gray-500">Pending until {formatDate(form.date)}</span>}
+            </div>
             <div className="form-group">
               <label className="form-label">Memo</label>
               <input 
@@ -908,7 +2119,7 @@ function QuickAddModal({ data, onAdd, onClose }) {
                 type="text"
                 placeholder="Transaction description"
                 value={form.memo}
-                onChange={e => setForm(f => ({ ...f, memo: e.target.value }))}
+                onChange={e => updateDescription({ memo: e.target.value })}
               />
             </div>
           </div>
@@ -0,0 +1,190 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatCurrency, formatDate, formatDateTime } from '../utils/format.js';
+import { accountCurrency, baseCurrency } from '../utils/currency.js';
+import { SNAPSHOT_REASONS, diffDatasets } from '../utils/snapshots.js';
+import { deleteSnapshot, listSnapshots, loadSnapshotData } from '../utils/storage.js';
+
+const LIST_LABELS = {
+  accounts: 'Accounts',
+  categoryGroups: 'Category groups',
+  categories: 'Categories',
+  transactions: 'Transactions',
+  payees: 'Payees',
+  scheduled: 'Scheduled',
+  rules: 'Rules'
+};
+
+// Transactions listed individually in a comparison before summarising the rest
+const SHOWN = 20;
+
+function TransactionChanges({ title, transactions, data }) {
+  if (transactions.length === 0) return null;
+  return (
+    <div className="mb-4">
+      <h4 className="font-semibold text-sm mb-2">{title}</h4>
+      <ul className="validation-list">
+        {transactions.slice(0, SHOWN).map(tx => (
+          <li key={tx.id}>
+            <span className="font-mono">{formatCurrency(tx.amount, accountCurrency(data, tx.accountId))}</span> {formatDate(tx.date)} {tx.memo}
+          </li>
+        ))}
+      </ul>
+      {transactions.length > SHOWN && <p className="text-sm text-gray-500">…and {transactions.length - SHOWN} more</p>}
+    </div>
+  );
+}
+
+// Differences between a snapshot and the current data
+function SnapshotDiff({ diff, data, onClose }) {
+  const { lists, balances } = diff;
+  const unchanged = Object.values(lists).every(l => !l.added.length && !l.removed.length && !l.changed.length);
+  return (
+    <div className="snapshot-diff">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold">Changes since this snapshot</h3>
+        <button className="btn btn-secondary btn-sm" onClick={onClose}>Close</button>
+      </div>
+      {unchanged ? (
+        <p className="text-gray-500">Your current data is the same as this snapshot.</p>
+      ) : (
+        <>
+          <table className="data-table mb-4">
+            <thead>
+              <tr>
+                <th></th>
+                <th className="text-right">Added</th>
+                <th className="text-right">Removed</th>
+                <th className="text-right">Changed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(LIST_LABELS).map(([key, label]) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td className="text-right">{lists[key].added.length}</td>
+                  <td className="text-right">{lists[key].removed.length}</td>
+                  <td className="text-right">{lists[key].changed.length}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {balances.length > 0 && (
+            <table className="data-table mb-4">
+              <thead>
+                <tr>
+                  <th>Account</th>
+                  <th className="text-right">Then</th>
+                  <th className="text-right">Now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {balances.map(b => (
+                  <tr key={b.id}>
+                    <td>{b.name}</td>
+                    <td className="text-right font-mono">{formatCurrency(b.before, b.currency)}</td>
+                    <td className="text-right font-mono">{formatCurrency(b.after, b.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <TransactionChanges title="Added since" transactions={lists.transactions.added} data={data} />
+          <TransactionChanges title="Removed since" transactions={lists.transactions.removed} data={data} />
+          <TransactionChanges title="Edited since" transactions={lists.transactions.changed} data={data} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// Backups view: automatic and manual snapshots, with restore and compare
+export function Backups({ data, budgetId, onCreate, onRestore }) {
+  const [snapshots, setSnapshots] = useState(null);
+  const [error, setError] = useState('');
+  const [comparing, setComparing] = useState(null);
+
+  const refresh = useCallback(() => {
+    listSnapshots(budgetId).then(setSnapshots, err => setError(err.message));
+  }, [budgetId]);
+  useEffect(refresh, [refresh]);
+
+  async function run(action) {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    refresh();
+  }
+
+  async function compare(snapshot) {
+    setError('');
+    try {
+      const snapshotData = await loadSnapshotData(snapshot.id);
+      if (!snapshotData) throw new Error('That backup is missing its data.');
+      setComparing({ id: snapshot.id, diff: diffDatasets(snapshotData, data) });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Backups</h2>
+        <button className="btn btn-primary btn-sm" onClick={() => run(onCreate)}>Create Snapshot Now</button>
+      </div>
+      <p className="text-gray-500 text-sm mb-4">
+        A snapshot is saved in this browser once a day and before every import or bulk change.
+        They don't leave this device, so keep exporting a copy now and then.
+      </p>
+
+      {error && <p className="text-error mb-4">{error}</p>}
+
+      {snapshots === null && !error && <p className="text-gray-500">Loading backups…</p>}
+      {snapshots?.length === 0 && (
+        <div className="text-center py-12">
+          <p className="text-gray-500 text-lg mb-4">No snapshots yet</p>
+        </div>
+      )}
+
+      {snapshots?.length > 0 && (
+        <ul className="list mb-6">
+          {snapshots.map(s => (
+            <React.Fragment key={s.id}>
+              <li className="list-item">
+                <div className="list-item-content">
+                  <span className="font-semibold">{formatDateTime(s.createdAt)}</span>
+                  <span className="text-gray-600">{SNAPSHOT_REASONS[s.reason] || s.reason}</span>
+                  <span className="text-sm text-gray-500">{s.summary.transactions} transactions</span>
+                  <span className="font-mono">{formatCurrency(s.summary.netWorth, s.summary.currency || baseCurrency(data))}</span>
+                </div>
+                <div className="list-item-actions">
+                  <button className="btn btn-secondary btn-sm" onClick={() => compare(s)}>Compare</button>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => window.confirm(`Restore the snapshot from ${formatDateTime(s.createdAt)}? Your current data is snapshotted first.`) && run(() => onRestore(s))}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => window.confirm('Delete this snapshot?') && run(() => deleteSnapshot(s.id))}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+              {comparing?.id === s.id && (
+                <li className="list-item editing">
+                  <SnapshotDiff diff={comparing.diff} data={data} onClose={() => setComparing(null)} />
+                </li>
+              )}
+            </React.Fragment>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
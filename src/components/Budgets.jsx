@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { formatDate } from '../utils/format.js';
+import { localDay } from '../utils/dates.js';
+
+// Budgets view: named budgets kept side by side, each with its own accounts,
+// categories, transactions and backups
+export function Budgets({ budgets, activeId, onSwitch, onCreate, onRename, onDuplicate, onDelete }) {
+  const [name, setName] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  async function run(action) {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function handleCreate(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    run(async () => {
+      await onCreate(name.trim());
+      setName('');
+    });
+  }
+
+  function handleRename(e) {
+    e.preventDefault();
+    if (!editing.name.trim()) return;
+    run(async () => {
+      await onRename(editing.id, editing.name.trim());
+      setEditing(null);
+    });
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Budgets</h2>
+        <p className="section-subtitle">Export and import work on the budget that's open</p>
+      </div>
+
+      {error && <p className="text-error mb-4">{error}</p>}
+
+      <ul className="list mb-6">
+        {budgets.map(b => (
+          <li key={b.id} className={`list-item ${b.id === activeId ? 'selected' : ''}`}>
+            {editing?.id === b.id ? (
+              <form onSubmit={handleRename} className="flex gap-2 w-full">
+                <input
+                  className="form-input"
+                  value={editing.name}
+                  onChange={e => setEditing(ed => ({ ...ed, name: e.target.value }))}
+                  autoFocus
+                />
+                <button className="btn btn-primary btn-sm" type="submit">Save</button>
+                <button className="btn btn-secondary btn-sm" type="button" onClick={() => setEditing(null)}>Cancel</button>
+              </form>
+            ) : (
+              <>
+                <div className="list-item-content">
+                  <span className="font-semibold">{b.name}</span>
+                  <span className="text-sm text-gray-500">Created {formatDate(localDay(new Date(b.createdAt)))}</span>
+                  {b.id === activeId && <span className="text-sm text-gray-600">Open now</span>}
+                </div>
+                <div className="list-item-actions">
+                  {b.id !== activeId && (
+                    <button className="btn btn-primary btn-sm" onClick={() => run(() => onSwitch(b.id))}>Open</button>
+                  )}
+                  <button className="btn btn-secondary btn-sm" onClick={() => setEditing({ id: b.id, name: b.name })}>
+                    Rename
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => run(() => onDuplicate(b.id))}>Duplicate</button>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    disabled={budgets.length === 1}
+                    title={budgets.length === 1 ? 'There must be at least one budget' : undefined}
+                    onClick={() => window.confirm(`Delete "${b.name}" and all of its backups? This can't be undone.`) && run(() => onDelete(b.id))}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleCreate} className="flex gap-2">
+        <input
+          className="form-input"
+          type="text"
+          placeholder="e.g., Side business"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          aria-label="New budget name"
+        />
+        <button className="btn btn-primary" type="submit">Create Budget</button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { formatCurrency, formatNumber, parseAmount } from '../utils/format.js';
+import { currentMonth, formatMonth, shiftMonth } from '../utils/budget.js';
+import { TARGET_TYPES } from '../utils/targets.js';
+
+function describeTarget(target, currency) {
+  const amount = formatCurrency(target.amount, currency);
+  if (target.type === 'by-date') return `Save ${amount} by ${formatMonth(target.month)}`;
+  if (target.type === 'monthly') return `${amount} every month`;
+  return `Keep ${amount} available`;
+}
+
+// Progress bar and what's still needed this month, from `targetStatus`
+export function TargetProgress({ status, currency }) {
+  return (
+    <div className={`target-progress ${status.underfunded ? 'underfunded' : 'funded'}`}>
+      <div className="target-progress-header">
+        <span>{describeTarget(status, currency)}</span>
+        <span className="target-needed">
+          {status.underfunded ? `${formatCurrency(status.needed, currency)} needed this month` : 'Funded'}
+        </span>
+      </div>
+      <div
+        className="budget-bar"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={Math.round(status.progress * 100)}
+        aria-label="Target progress"
+      >
+        <div className="budget-progress" style={{ width: `${status.progress * 100}%` }} />
+      </div>
+    </div>
+  );
+}
+
+// Sets, changes or removes a category's target
+export function TargetForm({ target, currency, onSave, onRemove, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    type: target?.type || 'monthly',
+    amount: target ? formatNumber(target.amount) : '',
+    month: target?.month || shiftMonth(currentMonth(), 11)
+  }));
+  const amount = parseAmount(form.amount);
+  const valid = amount > 0 && (form.type !== 'by-date' || form.month);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!valid) return;
+    onSave(form.type === 'by-date' ? { type: form.type, amount, month: form.month } : { type: form.type, amount });
+  }
+
+  return (
+    <form className="target-form" onSubmit={handleSubmit}>
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Target</label>
+          <select className="form-input" value={form.type} onChange={e => setForm(f => ({ ...f, type: e.target.value }))}>
+            {Object.entries(TARGET_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Amount ({currency})</label>
+          <input
+            className="form-input"
+            type="text"
+            inputMode="decimal"
+            value={form.amount}
+            onChange={e => setForm(f => ({ ...f, amount: e.target.value }))}
+            autoFocus
+          />
+        </div>
+        {form.type === 'by-date' && (
+          <div className="form-group">
+            <label className="form-label">By the end of</label>
+            <input
+              className="form-input"
+              type="month"
+              value={form.month}
+              onChange={e => setForm(f => ({ ...f, month: e.target.value }))}
+            />
+          </div>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <button className="btn btn-primary btn-sm" type="submit" disabled={!valid}>Save Target</button>
+        <button className="btn btn-secondary btn-sm" type="button" onClick={onCancel}>Cancel</button>
+        {target && (
+          <button className="btn btn-secondary btn-sm" type="button" onClick={onRemove}>Remove Target</button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -1,221 +1,341 @@
-import React from 'react';
-
-// Simple Pie Chart Component using SVG
-export function PieChart({ data, title, colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316'] }) {
-  const total = data.reduce((sum, item) => sum + item.value, 0);
-  let cumulativePercentage = 0;
-
-  const slices = data.map((item, index) => {
-    const percentage = (item.value / total) * 100;
-    const startAngle = (cumulativePercentage / 100) * 360;
-    const endAngle = ((cumulativePercentage + percentage) / 100) * 360;
-    
-    const startAngleRad = (startAngle - 90) * (Math.PI / 180);
-    const endAngleRad = (endAngle - 90) * (Math.PI / 180);
-    
-    const largeArcFlag = percentage > 50 ? 1 : 0;
-    
-    const x1 = 100 + 80 * Math.cos(startAngleRad);
-    const y1 = 100 + 80 * Math.sin(startAngleRad);
-    const x2 = 100 + 80 * Math.cos(endAngleRad);
-    const y2 = 100 + 80 * Math.sin(endAngleRad);
-    
-    const pathData = [
-      `M 100 100`,
-      `L ${x1} ${y1}`,
-      `A 80 80 0 ${largeArcFlag} 1 ${x2} ${y2}`,
-      'Z'
-    ].join(' ');
-    
-    cumulativePercentage += percentage;
-    
-    return {
-      ...item,
-      pathData,
-      percentage: percentage.toFixed(1),
-      color: colors[index % colors.length]
-    };
-  });
+import React, { useId, useState } from 'react';
+
+// Charts drawn with SVG (and HTML for bars). Each one:
+// - scales to its container's width,
+// - shows a tooltip with the formatted value on hover or keyboard focus,
+// - calls `onSelect(item)` when a slice, bar or point is clicked, if given;
+//   only then are those focusable, otherwise the chart is one tab stop,
+// - carries a data table behind a "Data table" toggle for screen readers and
+//   anyone who wants the exact numbers.
+// `formatValue` formats amounts in tooltips, labels and the table.
+
+const DEFAULT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316'];
+const identity = value => value;
+
+// Click and Enter/Space for chart elements that act as buttons
+function selectable(onSelect, item) {
+  if (!onSelect) return {};
+  return {
+    role: 'button',
+    tabIndex: 0,
+    onClick: () => onSelect(item),
+    onKeyDown: e => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        onSelect(item);
+      }
+    }
+  };
+}
 
+// Round tick values covering min..max, about `count` of them
+function axisTicks(min, max, count = 4) {
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    return axisTicks(min - pad, max + pad, count);
+  }
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let t = Math.floor(min / step) * step; t < max + step; t += step) {
+    ticks.push(Math.round(t / step) * step);
+    if (t >= max) break;
+  }
+  return ticks;
+}
+
+function ChartFrame({ title, table, focusable, children }) {
+  const titleId = useId();
   return (
-    <div className="chart-container">
-      <h3 className="chart-title">{title}</h3>
-      <div className="chart-content">
-        <svg width="200" height="200" viewBox="0 0 200 200" className="pie-chart">
-          {slices.map((slice, index) => (
-            <path
-              key={index}
-              d={slice.pathData}
-              fill={slice.color}
-              stroke="white"
-              strokeWidth="2"
-              className="chart-slice"
-            />
-          ))}
-        </svg>
-        <div className="chart-legend">
-          {slices.map((slice, index) => (
-            <div key={index} className="legend-item">
-              <div 
-                className="legend-color" 
-                style={{ backgroundColor: slice.color }}
-              />
-              <span className="legend-label">{slice.label}</span>
-              <span className="legend-value">{slice.percentage}%</span>
-            </div>
+    <figure className="chart-container" aria-labelledby={titleId} tabIndex={focusable ? 0 : undefined}>
+      <figcaption id={titleId} className="chart-title">{title}</figcaption>
+      {children}
+      {table}
+    </figure>
+  );
+}
+
+function DataTable({ columns, rows }) {
+  return (
+    <details className="chart-data">
+      <summary>Data table</summary>
+      <table className="data-table">
+        <thead>
+          <tr>
+            {columns.map((column, i) => <th key={i} className={i > 0 ? 'text-right' : undefined}>{column}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, r) => (
+            <tr key={r}>
+              {row.map((cell, i) => <td key={i} className={i > 0 ? 'text-right font-mono' : undefined}>{cell}</td>)}
+            </tr>
           ))}
-        </div>
-      </div>
-    </div>
+        </tbody>
+      </table>
+    </details>
   );
 }
 
-// Simple Bar Chart Component
-export function BarChart({ data, title, color = '#3b82f6' }) {
-  const maxValue = Math.max(...data.map(item => item.value));
-  
+// Positioned in percent of the plot, so it follows the chart as it scales
+function Tooltip({ tip }) {
+  if (!tip) return null;
   return (
-    <div className="chart-container">
-      <h3 className="chart-title">{title}</h3>
-      <div className="bar-chart">
-        {data.map((item, index) => (
-          <div key={index} className="bar-item">
-            <div className="bar-label">{item.label}</div>
-            <div className="bar-container">
-              <div 
-                className="bar-fill"
-                style={{ 
-                  width: `${(item.value / maxValue) * 100}%`,
-                  backgroundColor: color
-                }}
-              />
-              <span className="bar-value">{item.value}</span>
-            </div>
-          </div>
-        ))}
-      </div>
+    <div className="chart-tooltip" role="status" style={{ left: `${tip.x}%`, top: `${tip.y}%` }}>
+      {tip.lines.map((line, i) => <div key={i}>{line}</div>)}
     </div>
   );
 }
 
-// Line Chart Component for trends
-export function LineChart({ data, title, color = '#3b82f6' }) {
-  const maxValue = Math.max(...data.map(item => item.value));
-  const minValue = Math.min(...data.map(item => item.value));
-  const range = maxValue - minValue;
-  
-  const points = data.map((item, index) => {
-    const x = (index / (data.length - 1)) * 300;
-    const y = 150 - ((item.value - minValue) / range) * 100;
-    return `${x},${y}`;
-  }).join(' ');
-  
+function EmptyChart({ title }) {
   return (
-    <div className="chart-container">
-      <h3 className="chart-title">{title}</h3>
-      <div className="line-chart">
-        <svg width="100%" height="200" viewBox="0 0 300 200">
-          <polyline
-            points={points}
-            fill="none"
-            stroke={color}
-            strokeWidth="3"
-            className="line-path"
-          />
-          {data.map((item, index) => {
-            const x = (index / (data.length - 1)) * 300;
-            const y = 150 - ((item.value - minValue) / range) * 100;
-            return (
-              <circle
+    <ChartFrame title={title}>
+      <p className="chart-empty">No data to show</p>
+    </ChartFrame>
+  );
+}
+
+// Path for a slice between two fractions of a turn. A slice of the whole
+// turn is drawn as full circles, since an arc can't start and end at one point.
+function slicePath(start, end, outer, inner) {
+  if (end - start >= 0.99999) {
+    const circle = r => `M ${100 - r} 100 A ${r} ${r} 0 1 1 ${100 + r} 100 A ${r} ${r} 0 1 1 ${100 - r} 100 Z`;
+    return inner ? `${circle(outer)} ${circle(inner)}` : circle(outer);
+  }
+  const point = (r, t) => [100 + r * Math.cos(2 * Math.PI * t - Math.PI / 2), 100 + r * Math.sin(2 * Math.PI * t - Math.PI / 2)];
+  const large = end - start > 0.5 ? 1 : 0;
+  const [x1, y1] = point(outer, start);
+  const [x2, y2] = point(outer, end);
+  if (!inner) return `M 100 100 L ${x1} ${y1} A ${outer} ${outer} 0 ${large} 1 ${x2} ${y2} Z`;
+  const [x3, y3] = point(inner, end);
+  const [x4, y4] = point(inner, start);
+  return `M ${x1} ${y1} A ${outer} ${outer} 0 ${large} 1 ${x2} ${y2} L ${x3} ${y3} A ${inner} ${inner} 0 ${large} 0 ${x4} ${y4} Z`;
+}
+
+// Pie and donut charts share everything but the hole. Only positive values
+// can be shown as shares, so zero and negative items are left out.
+function RingChart({ data, title, colors, inner, className, formatValue, onSelect }) {
+  const [tip, setTip] = useState(null);
+  const items = data.filter(item => item.value > 0);
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  if (total === 0) return <EmptyChart title={title} />;
+
+  let start = 0;
+  const slices = items.map((item, index) => {
+    const share = item.value / total;
+    const slice = { item, share, start, end: start + share, color: colors[index % colors.length] };
+    start += share;
+    return slice;
+  });
+
+  const describe = slice => `${slice.item.label}: ${formatValue(slice.item.value)} (${(slice.share * 100).toFixed(1)}%)`;
+  const show = slice => {
+    const mid = 2 * Math.PI * (slice.start + slice.end) / 2 - Math.PI / 2;
+    const r = slice.share > 0.99 ? 0 : (80 + inner) / 2;
+    setTip({ x: (100 + r * Math.cos(mid)) / 2, y: (100 + r * Math.sin(mid)) / 2, lines: [describe(slice)] });
+  };
+
+  return (
+    <ChartFrame
+      title={title}
+      focusable={!onSelect}
+      table={<DataTable columns={['', 'Amount', 'Share']} rows={slices.map(s => [s.item.label, formatValue(s.item.value), `${(s.share * 100).toFixed(1)}%`])} />}
+    >
+      <div className="chart-content">
+        <div className="chart-plot ring" onMouseLeave={() => setTip(null)}>
+          <svg viewBox="0 0 200 200" className={className} role={onSelect ? 'group' : 'img'} aria-label={title}>
+            {slices.map((slice, index) => (
+              <path
                 key={index}
-                cx={x}
-                cy={y}
-                r="4"
-                fill={color}
-                className="data-point"
+                d={slicePath(slice.start, slice.end, 80, inner)}
+                fill={slice.color}
+                fillRule="evenodd"
+                stroke="white"
+                strokeWidth="2"
+                className="chart-slice"
+                aria-label={describe(slice)}
+                onMouseEnter={() => show(slice)}
+                onFocus={() => show(slice)}
+                onBlur={() => setTip(null)}
+                {...selectable(onSelect, slice.item)}
               />
-            );
-          })}
-        </svg>
-        <div className="line-chart-labels">
-          {data.map((item, index) => (
-            <div key={index} className="line-label">
-              {item.label}
+            ))}
+          </svg>
+          <Tooltip tip={tip} />
+        </div>
+        <div className="chart-legend">
+          {slices.map((slice, index) => (
+            <div key={index} className={`legend-item ${onSelect ? 'clickable' : ''}`} onClick={onSelect && (() => onSelect(slice.item))}>
+              <div className="legend-color" style={{ backgroundColor: slice.color }} />
+              <span className="legend-label">{slice.item.label}</span>
+              <span className="legend-value">{(slice.share * 100).toFixed(1)}%</span>
             </div>
           ))}
         </div>
       </div>
-    </div>
+    </ChartFrame>
   );
 }
 
-// Donut Chart Component
-export function DonutChart({ data, title, colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'] }) {
-  const total = data.reduce((sum, item) => sum + item.value, 0);
-  let cumulativePercentage = 0;
-
-  const slices = data.map((item, index) => {
-    const percentage = (item.value / total) * 100;
-    const startAngle = (cumulativePercentage / 100) * 360;
-    const endAngle = ((cumulativePercentage + percentage) / 100) * 360;
-    
-    const startAngleRad = (startAngle - 90) * (Math.PI / 180);
-    const endAngleRad = (endAngle - 90) * (Math.PI / 180);
-    
-    const largeArcFlag = percentage > 50 ? 1 : 0;
-    
-    const x1 = 100 + 60 * Math.cos(startAngleRad);
-    const y1 = 100 + 60 * Math.sin(startAngleRad);
-    const x2 = 100 + 60 * Math.cos(endAngleRad);
-    const y2 = 100 + 60 * Math.sin(endAngleRad);
-    
-    const pathData = [
-      `M 100 100`,
-      `L ${x1} ${y1}`,
-      `A 60 60 0 ${largeArcFlag} 1 ${x2} ${y2}`,
-      'Z'
-    ].join(' ');
-    
-    cumulativePercentage += percentage;
-    
-    return {
-      ...item,
-      pathData,
-      percentage: percentage.toFixed(1),
-      color: colors[index % colors.length]
-    };
-  });
+export function PieChart({ data, title, colors = DEFAULT_COLORS, formatValue = identity, onSelect }) {
+  return <RingChart data={data} title={title} colors={colors} inner={0} className="pie-chart" formatValue={formatValue} onSelect={onSelect} />;
+}
+
+export function DonutChart({ data, title, colors = DEFAULT_COLORS, formatValue = identity, onSelect }) {
+  return <RingChart data={data} title={title} colors={colors} inner={45} className="donut-chart" formatValue={formatValue} onSelect={onSelect} />;
+}
+
+// Horizontal bars measured from zero, so negative values extend to the left
+// of a zero line in `negativeColor`
+export function BarChart({ data, title, color = '#3b82f6', negativeColor = '#ef4444', formatValue = identity, onSelect }) {
+  const [tip, setTip] = useState(null);
+  if (data.length === 0) return <EmptyChart title={title} />;
+  const max = Math.max(0, ...data.map(item => item.value));
+  const min = Math.min(0, ...data.map(item => item.value));
+  const span = max - min || 1;
+  const zero = (-min / span) * 100;
 
   return (
-    <div className="chart-container">
-      <h3 className="chart-title">{title}</h3>
-      <div className="chart-content">
-        <svg width="200" height="200" viewBox="0 0 200 200" className="donut-chart">
-          <circle cx="100" cy="100" r="40" fill="white" stroke="#e5e7eb" strokeWidth="2"/>
-          {slices.map((slice, index) => (
-            <path
+    <ChartFrame
+      title={title}
+      focusable={!onSelect}
+      table={<DataTable columns={['', 'Amount']} rows={data.map(item => [item.label, formatValue(item.value)])} />}
+    >
+      <div className="bar-chart" onMouseLeave={() => setTip(null)}>
+        {data.map((item, index) => {
+          const width = (Math.abs(item.value) / span) * 100;
+          const left = item.value < 0 ? zero - width : zero;
+          const show = () => setTip({ index, x: item.value < 0 ? left : left + width, y: 0, lines: [`${item.label}: ${formatValue(item.value)}`] });
+          return (
+            <div
+              key={index}
+              className={`bar-item ${onSelect ? 'clickable' : ''}`}
+              aria-label={`${item.label}: ${formatValue(item.value)}`}
+              onMouseEnter={show}
+              onFocus={show}
+              onBlur={() => setTip(null)}
+              {...selectable(onSelect, item)}
+            >
+              <div className="bar-label">{item.label}</div>
+              <div className="bar-track">
+                <div className="bar-container">
+                  {min < 0 && <div className="bar-zero" style={{ left: `${zero}%` }} />}
+                  <div
+                    className="bar-fill"
+                    style={{ left: `${left}%`, width: `${width}%`, backgroundColor: item.value < 0 ? negativeColor : color }}
+                  />
+                  <span className="bar-value">{formatValue(item.value)}</span>
+                </div>
+                {tip?.index === index && <Tooltip tip={tip} />}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </ChartFrame>
+  );
+}
+
+// Plot area of the line chart, in viewBox units
+const WIDTH = 320;
+const HEIGHT = 200;
+const PAD = { top: 10, right: 12, bottom: 24, left: 52 };
+// At most this many month labels along the x axis
+const MAX_X_LABELS = 6;
+
+// Line Chart Component for trends. Pass `data` ([{ label, value }]) for one
+// line, or `labels` and `series` ([{ label, color, values }]) for several.
+// `onSelect` receives `{ index, label }` for the clicked point in time.
+export function LineChart({ data, labels, series, title, color = '#3b82f6', formatValue = identity, formatAxis = formatValue, onSelect }) {
+  const [hover, setHover] = useState(null);
+  const lines = series || [{ label: title, color, values: data.map(item => item.value) }];
+  const xLabels = labels || data.map(item => item.label);
+  if (xLabels.length === 0 || lines.length === 0) return <EmptyChart title={title} />;
+
+  const values = lines.flatMap(line => line.values);
+  const ticks = axisTicks(Math.min(...values), Math.max(...values));
+  const low = ticks[0];
+  const high = ticks[ticks.length - 1];
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  // A single point sits in the middle rather than dividing by zero
+  const x = index => PAD.left + (xLabels.length > 1 ? (index / (xLabels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = value => PAD.top + (1 - (value - low) / (high - low)) * plotHeight;
+  const labelEvery = Math.ceil(xLabels.length / MAX_X_LABELS);
+  const slot = plotWidth / Math.max(xLabels.length - 1, 1);
+
+  const describe = index => [xLabels[index], ...lines.map(line => `${series ? `${line.label}: ` : ''}${formatValue(line.values[index])}`)];
+  const tip = hover === null ? null : {
+    x: (x(hover) / WIDTH) * 100,
+    y: (y(Math.max(...lines.map(line => line.values[hover]))) / HEIGHT) * 100,
+    lines: describe(hover)
+  };
+
+  return (
+    <ChartFrame
+      title={title}
+      focusable={!onSelect}
+      table={<DataTable columns={['', ...lines.map(line => line.label)]} rows={xLabels.map((label, i) => [label, ...lines.map(line => formatValue(line.values[i]))])} />}
+    >
+      <div className="line-chart chart-plot" onMouseLeave={() => setHover(null)}>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role={onSelect ? 'group' : 'img'} aria-label={title}>
+          {ticks.map(tick => (
+            <g key={tick} className={`chart-grid ${tick === 0 ? 'zero' : ''}`}>
+              <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(tick)} y2={y(tick)} />
+              <text x={PAD.left - 6} y={y(tick)} textAnchor="end" dominantBaseline="middle" className="chart-axis-label">
+                {formatAxis(tick)}
+              </text>
+            </g>
+          ))}
+          {xLabels.map((label, index) => index % labelEvery === 0 && (
+            <text key={index} x={x(index)} y={HEIGHT - 6} textAnchor="middle" className="chart-axis-label">{label}</text>
+          ))}
+          {lines.map(line => (
+            <g key={line.label}>
+              {line.values.length > 1 && (
+                <polyline
+                  points={line.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+                  fill="none"
+                  stroke={line.color}
+                  strokeWidth="2.5"
+                  className="line-path"
+                />
+              )}
+              {line.values.map((value, index) => (
+                <circle key={index} cx={x(index)} cy={y(value)} r={hover === index ? 5 : 3.5} fill={line.color} className="data-point" />
+              ))}
+            </g>
+          ))}
+          {/* One hit area per point in time, wide enough to hover easily */}
+          {xLabels.map((label, index) => (
+            <rect
               key={index}
-              d={slice.pathData}
-              fill={slice.color}
-              stroke="white"
-              strokeWidth="2"
-              className="chart-slice"
+              x={x(index) - slot / 2}
+              y={PAD.top}
+              width={slot}
+              height={plotHeight}
+              className="line-hit"
+              aria-label={describe(index).join(', ')}
+              onMouseEnter={() => setHover(index)}
+              onFocus={() => setHover(index)}
+              onBlur={() => setHover(null)}
+              {...selectable(onSelect, { index, label })}
             />
           ))}
         </svg>
-        <div className="chart-legend">
-          {slices.map((slice, index) => (
-            <div key={index} className="legend-item">
-              <div 
-                className="legend-color" 
-                style={{ backgroundColor: slice.color }}
-              />
-              <span className="legend-label">{slice.label}</span>
-              <span className="legend-value">{slice.percentage}%</span>
-            </div>
-          ))}
-        </div>
+        <Tooltip tip={tip} />
+        {series && (
+          <div className="chart-legend horizontal">
+            {series.map(line => (
+              <div key={line.label} className="legend-item">
+                <div className="legend-color" style={{ backgroundColor: line.color }} />
+                <span className="legend-label">{line.label}</span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
-    </div>
+    </ChartFrame>
   );
 }
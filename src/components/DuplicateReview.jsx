@@ -0,0 +1,117 @@
+import React, { useCallback, useMemo, useState } from 'react';
+import { formatCurrency, formatDate } from '../utils/format.js';
+import { accountCurrency } from '../utils/currency.js';
+import { DEFAULT_DATE_WINDOW, findDuplicates } from '../utils/duplicates.js';
+import { describeTransaction } from '../utils/payees.js';
+
+const ACTION_LABELS = { import: 'Import', skip: 'Skip', merge: 'Merge' };
+
+// Review screen for likely duplicates found while importing: each match can be
+// imported anyway, skipped, or merged into the existing transaction.
+// `additions` holds accounts and payees arriving with the same import.
+export function DuplicateReview({ incoming, data, additions = {}, onConfirm, onCancel }) {
+  const [dateWindow, setDateWindow] = useState(DEFAULT_DATE_WINDOW);
+  const [overrides, setOverrides] = useState({});
+
+  const lookup = useMemo(() => ({
+    accounts: [...data.accounts, ...(additions.accounts || [])],
+    payees: [...(data.payees || []), ...(additions.payees || [])]
+  }), [data.accounts, data.payees, additions]);
+  const describe = useCallback(tx => describeTransaction(lookup, tx), [lookup]);
+
+  const results = useMemo(
+    () => findDuplicates(data.transactions, incoming, dateWindow, describe),
+    [data.transactions, incoming, dateWindow, describe]
+  );
+  const decisions = results.map((r, index) => ({ ...r, action: overrides[index] || r.action }));
+  const matched = decisions.map((d, index) => ({ ...d, index })).filter(d => d.match);
+  const counts = decisions.reduce((c, d) => ({ ...c, [d.action]: (c[d.action] || 0) + 1 }), {});
+  const accountName = id => lookup.accounts.find(a => a.id === id)?.name;
+
+  const setAll = action => setOverrides(Object.fromEntries(matched.map(d => [d.index, action])));
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Review Possible Duplicates</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          {matched.length} of {incoming.length} incoming transaction{incoming.length !== 1 ? 's' : ''} look
+          like ones you already have. Rows without a match are imported as new.
+        </p>
+
+        <div className="flex items-center justify-between mb-4">
+          <label className="text-sm flex items-center gap-2">
+            Match dates within
+            <input
+              type="number"
+              min="0"
+              max="30"
+              className="form-input"
+              style={{ width: '70px' }}
+              value={dateWindow}
+              onChange={e => { setDateWindow(Math.max(0, parseInt(e.target.value, 10) || 0)); setOverrides({}); }}
+            />
+            days
+          </label>
+          <div className="flex gap-2">
+            <button className="btn btn-secondary btn-sm" onClick={() => setAll('skip')}>Skip all</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setAll('import')}>Import all</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setOverrides({})}>Reset</button>
+          </div>
+        </div>
+
+        <div className="import-preview">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Incoming</th>
+                <th>Existing</th>
+                <th className="text-right">Amount</th>
+                <th>Match</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matched.map(d => (
+                <tr key={d.index}>
+                  <td>
+                    <div>{describe(d.incoming) || 'Transaction'}</div>
+                    <div className="text-sm text-gray-500">{formatDate(d.incoming.date)} · {accountName(d.incoming.accountId)}</div>
+                  </td>
+                  <td>
+                    <div>{describe(d.match) || 'Transaction'}</div>
+                    <div className="text-sm text-gray-500">
+                      {formatDate(d.match.date)}{d.match.importId ? ' · imported' : ' · entered by hand'}
+                    </div>
+                  </td>
+                  <td className="text-right font-mono">{formatCurrency(d.incoming.amount, accountCurrency({ ...data, accounts: lookup.accounts }, d.incoming.accountId))}</td>
+                  <td>{Math.round(d.score * 100)}%</td>
+                  <td>
+                    <select
+                      className="form-input"
+                      value={d.action}
+                      onChange={e => setOverrides(o => ({ ...o, [d.index]: e.target.value }))}
+                    >
+                      {Object.entries(ACTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="modal-actions">
+          <span className="modal-summary text-sm text-gray-600">
+            {counts.import || 0} to import · {counts.merge || 0} to merge · {counts.skip || 0} to skip
+          </span>
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-primary" onClick={() => onConfirm(decisions)}>Confirm Import</button>
+        </div>
+      </div>
+    </div>
+  );
+}
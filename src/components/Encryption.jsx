@@ -0,0 +1,276 @@
+import React, { useState } from 'react';
+
+const MIN_LENGTH = 8;
+
+// Fields for choosing a new passphrase, typed twice
+function NewPassphraseFields({ form, onChange }) {
+  return (
+    <>
+      <div className="form-group">
+        <label className="form-label">Passphrase</label>
+        <input
+          type="password"
+          className="form-input"
+          autoComplete="new-password"
+          value={form.passphrase}
+          onChange={e => onChange({ ...form, passphrase: e.target.value })}
+        />
+      </div>
+      <div className="form-group">
+        <label className="form-label">Confirm passphrase</label>
+        <input
+          type="password"
+          className="form-input"
+          autoComplete="new-password"
+          value={form.confirm}
+          onChange={e => onChange({ ...form, confirm: e.target.value })}
+        />
+      </div>
+    </>
+  );
+}
+
+function passphraseProblem({ passphrase, confirm }) {
+  if (passphrase.length < MIN_LENGTH) return `Use at least ${MIN_LENGTH} characters.`;
+  if (passphrase !== confirm) return 'The passphrases don\'t match.';
+  return '';
+}
+
+// Export as plain JSON, or encrypted with a passphrase for sharing
+export function ExportModal({ budgetName, onExport, onClose }) {
+  const [encrypt, setEncrypt] = useState(false);
+  const [form, setForm] = useState({ passphrase: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const problem = encrypt ? passphraseProblem(form) : '';
+    setError(problem);
+    if (problem) return;
+    setBusy(true);
+    try {
+      await onExport(encrypt ? form.passphrase : null);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Export “{budgetName}”</h2>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <form onSubmit={handleSubmit}>
+          <label className="flex items-center gap-2 mb-4">
+            <input type="checkbox" checked={encrypt} onChange={e => setEncrypt(e.target.checked)} />
+            Encrypt with a passphrase
+          </label>
+          {encrypt ? (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                The file can only be imported with this passphrase. It can't be recovered if the passphrase is lost.
+              </p>
+              <NewPassphraseFields form={form} onChange={setForm} />
+            </>
+          ) : (
+            <p className="text-sm text-gray-600 mb-4">
+              The file is plain JSON: anyone who opens it can read your accounts and balances.
+            </p>
+          )}
+          {error && <p className="text-error text-sm mb-4">{error}</p>}
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={busy}>
+              {busy ? 'Encrypting…' : 'Export'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Asks for the passphrase of an encrypted file. `onSubmit` rejects on a wrong
+// passphrase, which is shown so the user can try again.
+export function PassphraseModal({ fileName, onSubmit, onCancel }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Encrypted File</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <form onSubmit={handleSubmit}>
+          <p className="text-gray-600 mb-4">Enter the passphrase for {fileName || 'this file'}.</p>
+          <div className="form-group">
+            <label className="form-label">Passphrase</label>
+            <input
+              type="password"
+              className="form-input"
+              autoComplete="off"
+              autoFocus
+              value={passphrase}
+              onChange={e => setPassphrase(e.target.value)}
+            />
+          </div>
+          {error && <p className="text-error text-sm mb-4">{error}</p>}
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={busy || !passphrase}>
+              {busy ? 'Decrypting…' : 'Decrypt'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Shown instead of the app while the saved budget is encrypted and locked
+export function UnlockScreen({ onUnlock, onErase }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  function handleErase() {
+    if (window.confirm('Erase every budget and backup saved in this browser? This can\'t be undone. Exported files are not affected.')) {
+      onErase();
+    }
+  }
+
+  return (
+    <div className="app-container">
+      <form className="unlock-screen" onSubmit={handleSubmit}>
+        <h2 className="section-title">Your budget is locked</h2>
+        <p className="text-gray-600 mb-6">It's encrypted on this device. Enter your passphrase to open it.</p>
+        <div className="form-group">
+          <label className="form-label">Passphrase</label>
+          <input
+            type="password"
+            className="form-input"
+            autoComplete="current-password"
+            autoFocus
+            value={passphrase}
+            onChange={e => setPassphrase(e.target.value)}
+          />
+        </div>
+        {error && <p className="text-error text-sm mb-4">{error}</p>}
+        <div className="storage-error-actions">
+          <button type="submit" className="btn btn-primary" disabled={busy || !passphrase}>
+            {busy ? 'Unlocking…' : 'Unlock'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={handleErase}>Forgot passphrase? Erase and start over</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Turns encryption of the saved budget on or off, or changes its passphrase
+export function EncryptionSettings({ enabled, onSetPassphrase, onLock }) {
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ passphrase: '', confirm: '' });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function apply(passphrase) {
+    setBusy(true);
+    setError('');
+    try {
+      await onSetPassphrase(passphrase);
+      setEditing(false);
+      setForm({ passphrase: '', confirm: '' });
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const problem = passphraseProblem(form);
+    if (problem) setError(problem);
+    else apply(form.passphrase);
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Encryption on This Device</h2>
+        {enabled && <button className="btn btn-secondary btn-sm" onClick={onLock}>Lock Now</button>}
+      </div>
+      <p className="text-gray-500 text-sm mb-4">
+        {enabled
+          ? 'All of your budgets and their backups are encrypted in this browser. You\'ll need the passphrase each time you open the app. Budget names, backup dates and totals stay visible.'
+          : 'Your budgets are stored unencrypted in this browser. Anyone using this browser profile can read them.'}
+      </p>
+
+      {editing ? (
+        <form onSubmit={handleSubmit}>
+          <p className="text-sm text-gray-600 mb-4">
+            There's no way to recover your data if you forget this passphrase, so export a copy you can get back to.
+          </p>
+          <NewPassphraseFields form={form} onChange={setForm} />
+          {error && <p className="text-error text-sm mb-4">{error}</p>}
+          <div className="flex gap-2">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={busy}>
+              {busy ? 'Encrypting…' : enabled ? 'Change Passphrase' : 'Turn On Encryption'}
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => { setEditing(false); setError(''); }}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {error && <p className="text-error text-sm mb-4">{error}</p>}
+          <div className="flex gap-2">
+            <button className="btn btn-primary btn-sm" onClick={() => setEditing(true)}>
+              {enabled ? 'Change Passphrase' : 'Encrypt with a Passphrase'}
+            </button>
+            {enabled && (
+              <button
+                className="btn btn-secondary btn-sm"
+                disabled={busy}
+                onClick={() => window.confirm('Store your budget unencrypted in this browser?') && apply(null)}
+              >
+                Turn Off Encryption
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { COMMON_CURRENCIES, baseCurrency, foreignCurrencies, parseRatesFile, rateFor } from '../utils/currency.js';
+import { formatNumber, parseAmount } from '../utils/format.js';
+
+function draftRates(data) {
+  return Object.fromEntries(foreignCurrencies(data).map(c => {
+    const rate = rateFor(data, c);
+    return [c, rate === null ? '' : formatNumber(rate, 6)];
+  }));
+}
+
+// Base currency and the rates used to convert other accounts into it
+export function ExchangeRates({ data, onChangeBase, onSetRates }) {
+  const base = baseCurrency(data);
+  const currencies = foreignCurrencies(data);
+  const [drafts, setDrafts] = useState(() => draftRates(data));
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  // Start over from the saved rates whenever they change underneath the form
+  const [seen, setSeen] = useState({ base, rates: data.exchangeRates, accounts: data.accounts });
+  if (seen.base !== base || seen.rates !== data.exchangeRates || seen.accounts !== data.accounts) {
+    setSeen({ base, rates: data.exchangeRates, accounts: data.accounts });
+    setDrafts(draftRates(data));
+  }
+
+  function handleBaseChange(e) {
+    const code = e.target.value;
+    if (window.confirm(`Show totals in ${code}? Exchange rates are converted, but amounts already budgeted to categories are kept as they are.`)) {
+      setMessage('');
+      setError('');
+      onChangeBase(code);
+    }
+  }
+
+  function handleSave(e) {
+    e.preventDefault();
+    const rates = {};
+    for (const code of currencies) {
+      const rate = parseAmount(drafts[code]);
+      if (!(rate > 0)) {
+        setError(`Enter a rate above zero for ${code}.`);
+        return;
+      }
+      rates[code] = rate;
+    }
+    setError('');
+    setMessage('Rates saved.');
+    onSetRates(rates);
+  }
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage('');
+    setError('');
+    try {
+      const { rates, skipped } = parseRatesFile(await file.text(), data);
+      const count = Object.keys(rates).length;
+      if (count === 0) throw new Error('The file has no usable rates');
+      onSetRates(rates);
+      setMessage(`Imported ${count} rate${count === 1 ? '' : 's'} from ${file.name}${skipped.length ? `, skipped ${skipped.join(', ')}` : ''}.`);
+    } catch (err) {
+      setError(`Couldn't import rates: ${err.message}`);
+    }
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Currencies</h2>
+        <label className="btn btn-secondary btn-sm">
+          Import Rates File
+          <input type="file" accept=".json,.csv,.txt" className="file-input" onChange={handleFile} />
+        </label>
+      </div>
+      <p className="text-gray-500 text-sm mb-4">
+        Accounts keep their own currency. Totals, net worth and charts are converted into the base currency.
+      </p>
+
+      <div className="form-group">
+        <label className="form-label">Base currency</label>
+        <select className="form-input exchange-rate-input" value={base} onChange={handleBaseChange}>
+          {[...new Set([base, ...COMMON_CURRENCIES])].map(code => <option key={code} value={code}>{code}</option>)}
+        </select>
+      </div>
+
+      {currencies.length === 0 ? (
+        <p className="text-gray-500 text-sm">All of your accounts are in {base}, so no rates are needed.</p>
+      ) : (
+        <form onSubmit={handleSave}>
+          {currencies.map(code => (
+            <div key={code} className="exchange-rate">
+              <label htmlFor={`rate-${code}`}>1 {code} =</label>
+              <input
+                id={`rate-${code}`}
+                className="form-input exchange-rate-input"
+                type="text"
+                inputMode="decimal"
+                placeholder="Rate"
+                value={drafts[code] ?? ''}
+                onChange={e => setDrafts(d => ({ ...d, [code]: e.target.value }))}
+              />
+              <span>{base}</span>
+            </div>
+          ))}
+          <button type="submit" className="btn btn-primary btn-sm">Save Rates</button>
+        </form>
+      )}
+
+      {error && <p className="text-error text-sm mt-4">{error}</p>}
+      {message && <p className="text-sm text-gray-600 mt-4">{message}</p>}
+    </div>
+  );
+}
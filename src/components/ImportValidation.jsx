@@ -0,0 +1,68 @@
+import React, { useMemo } from 'react';
+import { repairDataset, validateDataset } from '../utils/validation.js';
+
+// Longest list of problems or repairs shown before summarising the rest
+const SHOWN = 50;
+
+function ProblemList({ items }) {
+  return (
+    <>
+      <ul className="validation-list">
+        {items.slice(0, SHOWN).map((p, i) => (
+          <li key={i}>
+            <code>{p.path || '(file)'}</code> {p.message}
+          </li>
+        ))}
+      </ul>
+      {items.length > SHOWN && <p className="text-sm text-gray-500 mt-2">…and {items.length - SHOWN} more</p>}
+    </>
+  );
+}
+
+// Lists what's wrong with an imported file before anything is overwritten, and
+// lets the user repair it, merge it into the current budget, or cancel
+export function ImportValidationModal({ incoming, problems, data, onRepair, onMerge, onCancel }) {
+  const repairs = useMemo(() => repairDataset(incoming).changes, [incoming]);
+  const canMerge = data.accounts.length > 0 || data.transactions.length > 0;
+  // References to accounts or categories that already exist here are fine when merging
+  const mergeProblems = useMemo(
+    () => (canMerge ? validateDataset(incoming, data).length : problems.length),
+    [canMerge, incoming, data, problems]
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Problems in Imported File</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <p className="text-gray-600 mb-4">
+          Found {problems.length} problem{problems.length !== 1 ? 's' : ''}. Nothing has been changed yet.
+        </p>
+
+        <div className="import-preview mb-4">
+          <ProblemList items={problems} />
+        </div>
+
+        <details className="mb-4">
+          <summary className="text-sm font-semibold cursor-pointer">What repair will do ({repairs.length} change{repairs.length !== 1 ? 's' : ''})</summary>
+          <ProblemList items={repairs} />
+        </details>
+
+        {canMerge && (
+          <p className="text-sm text-gray-600 mb-4">
+            Merging into your current budget leaves {mergeProblems} problem{mergeProblems !== 1 ? 's' : ''} to repair;
+            references to your existing accounts and categories are kept.
+          </p>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          {canMerge && <button className="btn btn-secondary" onClick={onMerge}>Repair &amp; Merge</button>}
+          <button className="btn btn-primary" onClick={onRepair}>Repair &amp; Import</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { formatCurrency, formatNumber, parseAmount } from '../utils/format.js';
+import { categoryMonthSummary, formatMonth } from '../utils/budget.js';
+import { baseCurrency } from '../utils/currency.js';
+
+// Moves part of one category's budget for the month into another. Opened
+// from an overspent category, it starts out covering the overspending.
+export function MoveMoney({ data, month, initial = {}, onMove, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    fromId: initial.fromId || '',
+    toId: initial.toId || '',
+    amount: initial.amount ? formatNumber(initial.amount) : ''
+  }));
+  const base = baseCurrency(data);
+  const available = Object.fromEntries(data.categories.map(cat => [cat.id, categoryMonthSummary(data, cat, month).available]));
+  const amount = parseAmount(form.amount);
+  const valid = form.fromId && form.toId && form.fromId !== form.toId && amount > 0;
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (valid) onMove(form.fromId, form.toId, amount);
+  }
+
+  const options = data.categories.map(cat => (
+    <option key={cat.id} value={cat.id}>{cat.name} ({formatCurrency(available[cat.id], base)})</option>
+  ));
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Move Money</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">Changes what's budgeted in {formatMonth(month)}. Amounts in brackets are available now.</p>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label className="form-label">From</label>
+            <select className="form-input" value={form.fromId} onChange={e => setForm(f => ({ ...f, fromId: e.target.value }))}>
+              <option value="">Choose a category</option>
+              {options}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">To</label>
+            <select className="form-input" value={form.toId} onChange={e => setForm(f => ({ ...f, toId: e.target.value }))}>
+              <option value="">Choose a category</option>
+              {options}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Amount ({base})</label>
+            <input
+              className="form-input"
+              type="text"
+              inputMode="decimal"
+              value={form.amount}
+              onChange={e => setForm(f => ({ ...f, amount: e.target.value }))}
+            />
+          </div>
+          {valid && amount > available[form.fromId] && (
+            <p className="text-sm text-warning mb-4">
+              That's more than the {formatCurrency(available[form.fromId], base)} available in the category it comes from.
+            </p>
+          )}
+          <div className="modal-actions">
+            <button className="btn btn-secondary" type="button" onClick={onCancel}>Cancel</button>
+            <button className="btn btn-primary" type="submit" disabled={!valid}>Move</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import React, { useId } from 'react';
+
+// Free-text payee field that autocompletes from the saved payee list
+export function PayeeInput({ payees = [], value, onChange, className = 'form-input' }) {
+  const listId = useId();
+  return (
+    <>
+      <input
+        className={className}
+        type="text"
+        placeholder="Who was paid or paid you"
+        list={listId}
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        autoComplete="off"
+      />
+      <datalist id={listId}>
+        {payees.map(p => <option key={p.id} value={p.name} />)}
+      </datalist>
+    </>
+  );
+}
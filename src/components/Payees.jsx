@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { RULE_FIELDS, RULE_OPERATORS } from '../utils/payees.js';
+import { findAccount, findCategory, transactionsForPayee } from '../utils/selectors.js';
+
+function emptyRule(data) {
+  return { field: 'any', operator: 'contains', value: '', categoryId: data.categories[0]?.id || '' };
+}
+
+// Payees view: the saved payee list and the rules that file transactions
+// into categories automatically
+export function Payees({ data, onRename, onDelete, onAddRule, onDeleteRule }) {
+  const [editing, setEditing] = useState(null);
+  const [rule, setRule] = useState(() => emptyRule(data));
+  const payees = [...(data.payees || [])].sort((a, b) => a.name.localeCompare(b.name));
+  const rules = data.rules || [];
+  const usage = id => transactionsForPayee(data.transactions, id).length;
+  const accountName = id => findAccount(data, id)?.name;
+  const categoryName = id => findCategory(data, id)?.name;
+
+  function handleRename(e) {
+    e.preventDefault();
+    onRename(editing.id, editing.name);
+    setEditing(null);
+  }
+
+  function handleAddRule(e) {
+    e.preventDefault();
+    if (!rule.value.trim() || !rule.categoryId) return;
+    onAddRule({ ...rule, value: rule.value.trim() });
+    setRule(r => ({ ...r, value: '' }));
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Payees</h2>
+        <p className="section-subtitle">Each payee remembers the category and account you last used with it</p>
+      </div>
+
+      {payees.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-gray-500 text-lg mb-4">No payees yet</p>
+          <p className="text-gray-400">Payees are added as you enter or import transactions</p>
+        </div>
+      ) : (
+        <ul className="list mb-6">
+          {payees.map(p => (
+            <li key={p.id} className="list-item">
+              {editing?.id === p.id ? (
+                <form onSubmit={handleRename} className="flex gap-2 w-full">
+                  <input
+                    className="form-input"
+                    value={editing.name}
+                    onChange={e => setEditing(ed => ({ ...ed, name: e.target.value }))}
+                    autoFocus
+                  />
+                  <button className="btn btn-primary btn-sm" type="submit">Save</button>
+                  <button className="btn btn-secondary btn-sm" type="button" onClick={() => setEditing(null)}>Cancel</button>
+                </form>
+              ) : (
+                <>
+                  <div className="list-item-content">
+                    <span className="font-semibold">{p.name}</span>
+                    <span className="text-gray-600">{categoryName(p.lastCategoryId) || 'No category yet'}</span>
+                    <span className="text-gray-600">{accountName(p.lastAccountId)}</span>
+                    <span className="text-sm text-gray-500">
+                      {usage(p.id)} transaction{usage(p.id) === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                  <div className="list-item-actions">
+                    <button className="btn btn-secondary btn-sm" onClick={() => setEditing({ id: p.id, name: p.name })}>
+                      Rename
+                    </button>
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => window.confirm(`Delete "${p.name}"? Its transactions are kept without a payee.`) && onDelete(p.id)}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="border-t pt-6">
+        <h3 className="text-lg font-semibold mb-4">Categorization Rules</h3>
+        <p className="text-gray-500 mb-4 text-sm">
+          Rules are checked in order when a transaction is entered or imported without a category. The first match wins.
+        </p>
+
+        {rules.length > 0 && (
+          <ul className="list mb-6">
+            {rules.map(r => (
+              <li key={r.id} className="list-item">
+                <div className="list-item-content">
+                  <span>
+                    {RULE_FIELDS[r.field]} {RULE_OPERATORS[r.operator]} <strong>“{r.value}”</strong>
+                  </span>
+                  <span className="text-gray-600">→ {categoryName(r.categoryId) || 'Missing category'}</span>
+                </div>
+                <div className="list-item-actions">
+                  <button className="btn btn-secondary btn-sm" onClick={() => onDeleteRule(r.id)}>
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAddRule} className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <select className="form-input" value={rule.field} onChange={e => setRule(r => ({ ...r, field: e.target.value }))} aria-label="Field">
+            {Object.entries(RULE_FIELDS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <select className="form-input" value={rule.operator} onChange={e => setRule(r => ({ ...r, operator: e.target.value }))} aria-label="Operator">
+            {Object.entries(RULE_OPERATORS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <input
+            className="form-input"
+            type="text"
+            placeholder="e.g., SHELL"
+            value={rule.value}
+            onChange={e => setRule(r => ({ ...r, value: e.target.value }))}
+            aria-label="Text to match"
+          />
+          <div className="flex gap-2">
+            <select className="form-input" value={rule.categoryId} onChange={e => setRule(r => ({ ...r, categoryId: e.target.value }))} aria-label="Category">
+              <option value="" disabled>Select Category</option>
+              {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+            <button className="btn btn-primary" type="submit">Add Rule</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useMemo, useState } from 'react';
+import { formatCurrency } from '../utils/format.js';
+import { formatMonth } from '../utils/budget.js';
+import { baseCurrency } from '../utils/currency.js';
+import { QUICK_BUDGETS, quickBudgetPlan } from '../utils/quickBudget.js';
+
+// Budgets every category for a month with one strategy. Shows what each
+// budgeted amount would become; rows that would change start ticked.
+export function QuickBudget({ data, month, onApply, onCancel }) {
+  const [strategy, setStrategy] = useState('last-month');
+  const [skipped, setSkipped] = useState(() => new Set());
+  const base = baseCurrency(data);
+
+  const plan = useMemo(() => quickBudgetPlan(data, month, strategy), [data, month, strategy]);
+  const changes = plan.filter(row => row.proposed !== row.current);
+  const chosen = changes.filter(row => !skipped.has(row.categoryId));
+  const delta = chosen.reduce((s, row) => s + row.proposed - row.current, 0);
+
+  function chooseStrategy(value) {
+    setStrategy(value);
+    setSkipped(new Set());
+  }
+
+  function toggle(categoryId) {
+    setSkipped(prev => {
+      const next = new Set(prev);
+      if (next.has(categoryId)) next.delete(categoryId);
+      else next.add(categoryId);
+      return next;
+    });
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Quick Budget for {formatMonth(month)}</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Budget each category to</label>
+          <select className="form-input" value={strategy} onChange={e => chooseStrategy(e.target.value)}>
+            {Object.entries(QUICK_BUDGETS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        {changes.length === 0 ? (
+          <p className="text-gray-500 mb-4">Every category is already budgeted this way.</p>
+        ) : (
+          <div className="import-preview">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Category</th>
+                  <th className="text-right">Budgeted now</th>
+                  <th className="text-right">New amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map(row => (
+                  <tr key={row.categoryId}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={!skipped.has(row.categoryId)}
+                        onChange={() => toggle(row.categoryId)}
+                        aria-label={`Budget ${row.name}`}
+                      />
+                    </td>
+                    <td>{row.name}</td>
+                    <td className="text-right font-mono">{formatCurrency(row.current, base)}</td>
+                    <td className="text-right font-mono">{formatCurrency(row.proposed, base)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <span className="modal-summary text-sm text-gray-600">
+            {chosen.length} categor{chosen.length === 1 ? 'y' : 'ies'} · {delta >= 0 ? 'assigns' : 'frees up'} {formatCurrency(Math.abs(delta), base)}
+          </span>
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          <button
+            className="btn btn-primary"
+            disabled={chosen.length === 0}
+            onClick={() => onApply(Object.fromEntries(chosen.map(row => [row.categoryId, row.proposed])))}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { formatCurrency, formatDate, parseAmount } from '../utils/format.js';
+import { clearedStatus, isReconciled, CLEARED } from '../utils/ledger.js';
+
+// Cent tolerance used when comparing against the statement
+const EPSILON = 0.005;
+
+// Reconcile an account against a bank statement: enter the statement balance,
+// tick the transactions that appear on it, then lock them in
+export function ReconcilePanel({ transactions, currency, onFinish, onCancel }) {
+  const [statementBalance, setStatementBalance] = useState('');
+  const [ticked, setTicked] = useState(
+    () => new Set(transactions.filter(tx => clearedStatus(tx) === CLEARED).map(tx => tx.id))
+  );
+
+  const open = transactions.filter(tx => !isReconciled(tx));
+  const reconciledBalance = transactions.filter(isReconciled).reduce((s, t) => s + t.amount, 0);
+  const clearedTotal = reconciledBalance + open.filter(tx => ticked.has(tx.id)).reduce((s, t) => s + t.amount, 0);
+  const statement = parseAmount(statementBalance);
+  const difference = isNaN(statement) ? 0 : statement - clearedTotal;
+
+  const toggle = id => setTicked(t => {
+    const next = new Set(t);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const handleFinish = () => {
+    if (isNaN(statement)) return;
+    if (Math.abs(difference) >= EPSILON &&
+      !window.confirm(`The cleared balance is ${formatCurrency(difference, currency)} away from the statement. Add an adjustment transaction for the difference?`)) {
+      return;
+    }
+    onFinish([...ticked], statement);
+  };
+
+  return (
+    <div className="reconcile-panel mb-6">
+      <div className="form-row mb-4">
+        <div className="form-group">
+          <label className="form-label">Statement Ending Balance</label>
+          <input
+            className="form-input"
+            type="text"
+            inputMode="decimal"
+            placeholder="0.00"
+            value={statementBalance}
+            onChange={e => setStatementBalance(e.target.value)}
+          />
+        </div>
+        <div className="form-group text-center">
+          <p className="text-sm text-gray-600 mb-1">Cleared Balance</p>
+          <p className="text-lg font-mono font-bold">{formatCurrency(clearedTotal, currency)}</p>
+        </div>
+        <div className="form-group text-center">
+          <p className="text-sm text-gray-600 mb-1">Difference</p>
+          <p className={`text-lg font-mono font-bold ${Math.abs(difference) < EPSILON ? 'text-success' : 'text-error'}`}>
+            {formatCurrency(difference, currency)}
+          </p>
+        </div>
+      </div>
+
+      {open.length === 0 ? (
+        <p className="text-gray-500 mb-4">Every transaction in this account is already reconciled.</p>
+      ) : (
+        <ul className="list mb-4">
+          {open.slice().reverse().map(tx => (
+            <li key={tx.id} className="list-item">
+              <label className="list-item-content cursor-pointer">
+                <input type="checkbox" checked={ticked.has(tx.id)} onChange={() => toggle(tx.id)} />
+                <span className="text-sm text-gray-500 min-w-[80px]">{formatDate(tx.date)}</span>
+                <span className={`font-mono font-bold ${tx.amount >= 0 ? 'text-success' : 'text-error'}`}>
+                  {formatCurrency(tx.amount, currency)}
+                </span>
+                <span className="italic text-gray-700">{tx.memo}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+        <button className="btn btn-primary" onClick={handleFinish} disabled={isNaN(statement)}>
+          Finish Reconciling
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart, DonutChart, LineChart } from './Charts.jsx';
+import { formatCompact, formatCurrency } from '../utils/format.js';
+import { formatMonth } from '../utils/budget.js';
+import { baseCurrency } from '../utils/currency.js';
+import { categoryMonthFilters, emptyFilters } from '../utils/filters.js';
+import { payeeName } from '../utils/payees.js';
+import { findCategory } from '../utils/selectors.js';
+import {
+  RANGE_PRESETS, budgetVariance, categoryPayees, incomeAndExpense, monthsBetween, netWorthByMonth, presetRange, spendingByCategory
+} from '../utils/reports.js';
+
+const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316'];
+// Categories drawn as separate lines in the spending trend
+const TREND_CATEGORIES = 5;
+
+// "12.5% over", "3.0% under", or a dash when nothing was budgeted
+function formatVariance(percent) {
+  if (percent === null) return '—';
+  if (Math.abs(percent) < 0.05) return 'On budget';
+  return `${Math.abs(percent).toFixed(1)}% ${percent > 0 ? 'over' : 'under'}`;
+}
+
+function VarianceCells({ row, money }) {
+  return (
+    <>
+      <td className="text-right font-mono">{money(row.budgeted)}</td>
+      <td className="text-right font-mono">{money(row.actual)}</td>
+      <td className={`text-right font-mono ${row.difference < 0 ? 'text-error' : ''}`}>{money(row.difference)}</td>
+      <td className={`text-right ${row.percent > 0 ? 'text-error' : ''}`}>{formatVariance(row.percent)}</td>
+    </>
+  );
+}
+
+// Reports view: trends over a chosen range of months, all in the base currency
+export function Reports({ data, onShowTransactions }) {
+  const [preset, setPreset] = useState('6');
+  const [range, setRange] = useState(() => presetRange(data, '6'));
+  const [categoryId, setCategoryId] = useState('');
+  const base = baseCurrency(data);
+  const money = value => formatCurrency(value, base);
+  const compact = value => formatCompact(value, base);
+
+  const months = useMemo(() => (range.from <= range.to ? monthsBetween(range.from, range.to) : []), [range]);
+  const labels = months.map(m => formatMonth(m, { short: true }));
+  const spending = useMemo(() => spendingByCategory(data, months), [data, months]);
+  const flows = useMemo(() => incomeAndExpense(data, months), [data, months]);
+  const netWorth = useMemo(() => netWorthByMonth(data, months), [data, months]);
+  const variance = useMemo(() => budgetVariance(data, months), [data, months]);
+
+  const categoryTotals = Object.entries(spending)
+    .map(([id, values]) => ({ id, label: findCategory(data, id)?.name || 'Deleted category', value: values.reduce((s, v) => s + v, 0) }))
+    .sort((a, b) => b.value - a.value);
+  const totalSpent = categoryTotals.reduce((s, c) => s + c.value, 0);
+  const income = flows.reduce((s, f) => s + f.income, 0);
+  const expense = flows.reduce((s, f) => s + f.expense, 0);
+
+  const selected = categoryTotals.find(c => c.id === categoryId);
+  const payees = useMemo(() => (categoryId ? categoryPayees(data, categoryId, months) : []), [data, categoryId, months]);
+
+  // Clicking a month in a trend lists that month's transactions
+  const showMonth = ({ index }) => onShowTransactions({ ...emptyFilters(), from: `${months[index]}-01`, to: `${months[index]}-31` });
+
+  function choosePreset(value) {
+    setPreset(value);
+    setRange(presetRange(data, value));
+  }
+
+  function changeRange(field, value) {
+    if (!value) return;
+    setPreset('custom');
+    setRange(r => ({ ...r, [field]: value }));
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Reports</h2>
+        <p className="section-subtitle">Amounts in {base}</p>
+      </div>
+
+      <div className="report-range">
+        <select className="form-input" value={preset} onChange={e => choosePreset(e.target.value)} aria-label="Date range">
+          {Object.entries(RANGE_PRESETS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          <option value="custom" disabled>Custom range</option>
+        </select>
+        <input className="form-input" type="month" value={range.from} onChange={e => changeRange('from', e.target.value)} aria-label="From month" />
+        <span className="text-gray-500">to</span>
+        <input className="form-input" type="month" value={range.to} onChange={e => changeRange('to', e.target.value)} aria-label="To month" />
+      </div>
+
+      {months.length === 0 ? (
+        <p className="text-error">The start of the range is after its end.</p>
+      ) : (
+        <>
+          <div className="metrics-grid mb-6">
+            <div className="metric-card">
+              <div className="metric-label">Income</div>
+              <div className="metric-value text-success">{money(income)}</div>
+            </div>
+            <div className="metric-card">
+              <div className="metric-label">Expenses</div>
+              <div className="metric-value text-error">{money(expense)}</div>
+            </div>
+            <div className="metric-card">
+              <div className="metric-label">Net</div>
+              <div className={`metric-value ${income - expense >= 0 ? 'text-success' : 'text-error'}`}>{money(income - expense)}</div>
+            </div>
+          </div>
+
+          <div className="charts-grid">
+            {categoryTotals.length > 0 && (
+              <LineChart
+                title="Spending by Category"
+                labels={labels}
+                formatValue={money}
+                formatAxis={compact}
+                onSelect={showMonth}
+                series={categoryTotals.slice(0, TREND_CATEGORIES).map((c, i) => ({
+                  label: c.label,
+                  color: COLORS[i % COLORS.length],
+                  values: spending[c.id]
+                }))}
+              />
+            )}
+            <LineChart
+              title="Income vs Expenses"
+              labels={labels}
+              formatValue={money}
+              formatAxis={compact}
+              onSelect={showMonth}
+              series={[
+                { label: 'Income', color: '#10b981', values: flows.map(f => f.income) },
+                { label: 'Expenses', color: '#ef4444', values: flows.map(f => f.expense) }
+              ]}
+            />
+            <LineChart
+              title="Net Worth"
+              data={netWorth.map((point, i) => ({ label: labels[i], value: point.value }))}
+              color="#8b5cf6"
+              formatValue={money}
+              formatAxis={compact}
+            />
+            {totalSpent > 0 && (
+              <DonutChart
+                title="Share of Spending"
+                data={categoryTotals.slice(0, COLORS.length)}
+                colors={COLORS}
+                formatValue={money}
+                onSelect={item => setCategoryId(item.id)}
+              />
+            )}
+          </div>
+
+          <h3 className="text-lg font-semibold mb-4">Spending by Category</h3>
+          {categoryTotals.length === 0 ? (
+            <p className="text-gray-500">No spending in this range.</p>
+          ) : (
+            <table className="data-table mb-6">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th className="text-right">Total</th>
+                  <th className="text-right">Monthly average</th>
+                  <th className="text-right">Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                {categoryTotals.map(c => (
+                  <tr key={c.id} className={c.id === categoryId ? 'selected' : ''}>
+                    <td>
+                      <button className="link-button" onClick={() => setCategoryId(c.id === categoryId ? '' : c.id)}>
+                        {c.label}
+                      </button>
+                    </td>
+                    <td className="text-right font-mono">{money(c.value)}</td>
+                    <td className="text-right font-mono">{money(c.value / months.length)}</td>
+                    <td className="text-right">{((c.value / totalSpent) * 100).toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {selected && (
+            <div className="report-drilldown">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold">{selected.label}</h3>
+                <div className="flex gap-2">
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => onShowTransactions({ ...emptyFilters(), categoryId, from: `${range.from}-01`, to: `${range.to}-31` })}
+                  >
+                    Show Transactions
+                  </button>
+                  <button className="btn btn-secondary btn-sm" onClick={() => setCategoryId('')}>Close</button>
+                </div>
+              </div>
+              <BarChart
+                title="By Month"
+                data={months.map((m, i) => ({ month: m, label: labels[i], value: spending[categoryId][i] }))}
+                formatValue={money}
+                onSelect={item => onShowTransactions(categoryMonthFilters(categoryId, item.month))}
+              />
+              {payees.length > 0 && (
+                <table className="data-table mt-4">
+                  <thead>
+                    <tr>
+                      <th>Payee</th>
+                      <th className="text-right">Spent</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {payees.map(p => (
+                      <tr key={p.payeeId}>
+                        <td>{p.payeeId ? payeeName(data, p.payeeId) : 'No payee'}</td>
+                        <td className="text-right font-mono">{money(p.spent)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          <h3 className="text-lg font-semibold mb-4 mt-6">Budget vs Actual</h3>
+          {variance.length === 0 ? (
+            <p className="text-gray-500">No categories yet.</p>
+          ) : (
+            <table className="data-table variance-table">
+              <thead>
+                <tr>
+                  <th>Category</th>
+                  <th className="text-right">Budgeted</th>
+                  <th className="text-right">Actual</th>
+                  <th className="text-right">Difference</th>
+                  <th className="text-right">Over / under</th>
+                </tr>
+              </thead>
+              {variance.map(group => (
+                <tbody key={group.id || 'ungrouped'}>
+                  <tr className="variance-group">
+                    <th scope="rowgroup">{group.name}{group.hidden && <span className="text-sm text-gray-500"> (hidden)</span>}</th>
+                    <VarianceCells row={group} money={money} />
+                  </tr>
+                  {group.categories.map(row => (
+                    <tr key={row.id}>
+                      <td className="variance-category">{row.name}</td>
+                      <VarianceCells row={row} money={money} />
+                    </tr>
+                  ))}
+                </tbody>
+              ))}
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
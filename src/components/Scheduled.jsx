@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { formatCurrency, formatDate, parseAmount } from '../utils/format.js';
+import { accountCurrency } from '../utils/currency.js';
+import { FREQUENCIES, UNITS, describeFrequency, nextOccurrence, todayKey } from '../utils/schedule.js';
+
+function emptyForm(data) {
+  return {
+    accountId: data.accounts[0]?.id || '',
+    categoryId: data.categories[0]?.id || '',
+    amount: '',
+    memo: '',
+    frequency: 'monthly',
+    interval: 1,
+    unit: 'month',
+    startDate: todayKey(),
+    endDate: ''
+  };
+}
+
+// Scheduled view: recurring transaction templates that post themselves when due
+export function Scheduled({ data, onAdd, onDelete }) {
+  const [form, setForm] = useState(() => emptyForm(data));
+  const scheduled = data.scheduled || [];
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const amount = parseAmount(form.amount);
+    if (!form.accountId || !form.categoryId || isNaN(amount) || !form.startDate) return;
+    if (form.endDate && form.endDate < form.startDate) {
+      alert('The end date must be on or after the start date.');
+      return;
+    }
+    onAdd({
+      accountId: form.accountId,
+      categoryId: form.categoryId,
+      amount,
+      memo: form.memo,
+      frequency: form.frequency,
+      ...(form.frequency === 'custom' ? { interval: Math.max(1, parseInt(form.interval, 10) || 1), unit: form.unit } : {}),
+      startDate: form.startDate,
+      endDate: form.endDate || null
+    });
+    setForm(f => ({ ...f, amount: '', memo: '' }));
+  }
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Scheduled Transactions</h2>
+        <p className="section-subtitle">Recurring bills and income are posted automatically when they come due</p>
+      </div>
+
+      {scheduled.length === 0 && (
+        <div className="text-center py-12">
+          <p className="text-gray-500 text-lg mb-4">No scheduled transactions yet</p>
+          <p className="text-gray-400">Set up rent, salary or subscriptions once and let them post themselves</p>
+        </div>
+      )}
+
+      {scheduled.length > 0 && (
+        <ul className="list mb-6">
+          {scheduled.map(s => {
+            const next = nextOccurrence(s);
+            return (
+              <li key={s.id} className="list-item">
+                <div className="list-item-content">
+                  <span className={`font-mono text-lg font-bold ${s.amount >= 0 ? 'text-success' : 'text-error'}`}>
+                    {formatCurrency(s.amount, accountCurrency(data, s.accountId))}
+                  </span>
+                  <span className="font-semibold">{s.memo || 'Scheduled transaction'}</span>
+                  <span className="text-gray-600">{data.accounts.find(a => a.id === s.accountId)?.name}</span>
+                  <span className="text-gray-600">{data.categories.find(c => c.id === s.categoryId)?.name}</span>
+                  <span className="text-sm text-gray-500">{describeFrequency(s)}</span>
+                  <span className="text-sm text-gray-500">
+                    {next ? `Next: ${formatDate(next)}` : 'Finished'}
+                    {s.endDate ? ` · Ends ${formatDate(s.endDate)}` : ''}
+                  </span>
+                </div>
+                <div className="list-item-actions">
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => window.confirm(`Stop "${s.memo || 'this schedule'}"? Transactions already posted are kept.`) && onDelete(s.id)}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="border-t pt-6">
+        <h3 className="text-lg font-semibold mb-4">Add Scheduled Transaction</h3>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label className="form-label">Account</label>
+              <select className="form-input" value={form.accountId} onChange={e => setForm(f => ({ ...f, accountId: e.target.value }))}>
+                <option value="" disabled>Select Account</option>
+                {data.accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Category</label>
+              <select className="form-input" value={form.categoryId} onChange={e => setForm(f => ({ ...f, categoryId: e.target.value }))}>
+                <option value="" disabled>Select Category</option>
+                {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label className="form-label">Amount</label>
+              <input
+                className="form-input"
+                type="text"
+                inputMode="decimal"
+                placeholder="0.00"
+                value={form.amount}
+                onChange={e => setForm(f => ({ ...f, amount: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Memo</label>
+              <input
+                className="form-input"
+                type="text"
+                placeholder="e.g., Monthly Rent"
+                value={form.memo}
+                onChange={e => setForm(f => ({ ...f, memo: e.target.value }))}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="form-group">
+              <label className="form-label">Repeats</label>
+              <select className="form-input" value={form.frequency} onChange={e => setForm(f => ({ ...f, frequency: e.target.value }))}>
+                {Object.entries(FREQUENCIES).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+              </select>
+              {form.frequency === 'custom' && (
+                <div className="flex gap-2 mt-2">
+                  <input
+                    className="form-input"
+                    type="number"
+                    min="1"
+                    value={form.interval}
+                    onChange={e => setForm(f => ({ ...f, interval: e.target.value }))}
+                    aria-label="Repeat every"
+                  />
+                  <select className="form-input" value={form.unit} onChange={e => setForm(f => ({ ...f, unit: e.target.value }))} aria-label="Repeat unit">
+                    {UNITS.map(u => <option key={u} value={u}>{u}s</option>)}
+                  </select>
+                </div>
+              )}
+            </div>
+            <div className="form-group">
+              <label className="form-label">Starts</label>
+              <input
+                className="form-input"
+                type="date"
+                value={form.startDate}
+                onChange={e => setForm(f => ({ ...f, startDate: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Ends (optional)</label>
+              <input
+                className="form-input"
+                type="date"
+                value={form.endDate}
+                onChange={e => setForm(f => ({ ...f, endDate: e.target.value }))}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button className="btn btn-primary btn-lg" type="submit">
+              Add Schedule
+            </button>
+          </div>
+        </form>
+        <p className="text-gray-500 mt-4 text-sm">
+          <strong>Tip:</strong> Occurrences on or before today are posted as soon as you save the schedule.
+        </p>
+      </div>
+    </div>
+  );
+}
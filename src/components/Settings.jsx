@@ -0,0 +1,80 @@
+import React from 'react';
+import { DATE_PATTERNS, formatCurrency, formatDate } from '../utils/format.js';
+import { localDay } from '../utils/dates.js';
+
+const LOCALES = {
+  'en-US': 'English (United States)',
+  'en-GB': 'English (United Kingdom)',
+  'en-CA': 'English (Canada)',
+  'en-AU': 'English (Australia)',
+  'en-IN': 'English (India)',
+  'de-DE': 'Deutsch (Deutschland)',
+  'de-CH': 'Deutsch (Schweiz)',
+  'fr-FR': 'Français (France)',
+  'fr-CA': 'Français (Canada)',
+  'es-ES': 'Español (España)',
+  'es-MX': 'Español (México)',
+  'it-IT': 'Italiano (Italia)',
+  'nl-NL': 'Nederlands (Nederland)',
+  'pt-BR': 'Português (Brasil)',
+  'sv-SE': 'Svenska (Sverige)',
+  'pl-PL': 'Polski (Polska)',
+  'ja-JP': '日本語 (日本)'
+};
+
+// Settings view: how numbers and dates are shown and read on this device
+export function Settings({ settings, currency, onChange }) {
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  return (
+    <div className="section animate-fade-in">
+      <div className="section-header">
+        <h2 className="section-title">Settings</h2>
+        <p className="section-subtitle">Number and date formats for this device</p>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label" htmlFor="settings-locale">Locale</label>
+          <select id="settings-locale" className="form-input" value={settings.locale} onChange={e => update('locale', e.target.value)}>
+            <option value="">Browser default ({navigator.language})</option>
+            {Object.entries(LOCALES).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="settings-symbol">Currency symbol</label>
+          <select id="settings-symbol" className="form-input" value={settings.symbolPosition} onChange={e => update('symbolPosition', e.target.value)}>
+            <option value="auto">As the locale places it</option>
+            <option value="before">Before the amount</option>
+            <option value="after">After the amount</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label" htmlFor="settings-decimal">Decimal separator</label>
+          <select id="settings-decimal" className="form-input" value={settings.decimalSeparator} onChange={e => update('decimalSeparator', e.target.value)}>
+            <option value="auto">As the locale writes it</option>
+            <option value=".">Point (1,234.56)</option>
+            <option value=",">Comma (1.234,56)</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="settings-date">Date format</label>
+          <select id="settings-date" className="form-input" value={settings.dateFormat} onChange={e => update('dateFormat', e.target.value)}>
+            <option value="auto">As the locale writes it</option>
+            {DATE_PATTERNS.map(pattern => <option key={pattern} value={pattern}>{pattern}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        Preview: <span className="font-mono">{formatCurrency(-1234.56, currency)}</span> on {formatDate(localDay())}
+      </p>
+      <p className="text-sm text-gray-500 mt-2">
+        Amounts can be typed either way, such as 1,234.56 or 1.234,56. Dates are kept as calendar days in your own time zone.
+      </p>
+    </div>
+  );
+}
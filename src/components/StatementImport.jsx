@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+import { formatCurrency, formatDate } from '../utils/format.js';
+import { accountCurrency } from '../utils/currency.js';
+import {
+  DATE_FORMATS, detectStatementFormat, guessCSVMapping, isValidStatementRow,
+  mapCSVRows, parseCSV, parseOFX, parseQIF, statementRowsToTransactions
+} from '../utils/importers.js';
+import { suggestCategory } from '../utils/payees.js';
+
+// Column picker for one CSV field; -1 means "not mapped"
+function ColumnSelect({ label, columns, value, onChange, optional = false }) {
+  return (
+    <div className="form-group">
+      <label className="form-label">{label}</label>
+      <select className="form-input" value={value} onChange={e => onChange(Number(e.target.value))}>
+        {optional && <option value={-1}>— None —</option>}
+        {columns.map((name, index) => <option key={index} value={index}>{name}</option>)}
+      </select>
+    </div>
+  );
+}
+
+// Modal that previews a CSV/OFX/QIF bank statement and appends its rows to an account
+export function StatementImport({ file, data, onImport, onCancel }) {
+  const format = detectStatementFormat(file.name, file.text);
+  const csvRows = useMemo(() => (format === 'csv' ? parseCSV(file.text) : []), [format, file.text]);
+  const [mapping, setMapping] = useState(() => guessCSVMapping(csvRows[0] || []));
+  const [dateFormat, setDateFormat] = useState('MDY');
+  const [accountId, setAccountId] = useState(data.accounts[0]?.id || '');
+  const [categoryId, setCategoryId] = useState('');
+
+  const columns = (csvRows[0] || []).map((cell, index) =>
+    mapping.hasHeader && cell.trim() ? cell.trim() : `Column ${index + 1}`
+  );
+
+  const rows = useMemo(() => {
+    if (format === 'csv') return mapCSVRows(csvRows, mapping);
+    if (format === 'ofx') return parseOFX(file.text);
+    if (format === 'qif') return parseQIF(file.text, dateFormat);
+    return [];
+  }, [format, csvRows, mapping, file.text, dateFormat]);
+
+  const validCount = rows.filter(isValidStatementRow).length;
+  const updateMapping = changes => setMapping(m => ({ ...m, ...changes }));
+
+  const handleImport = () => {
+    if (!accountId || validCount === 0) return;
+    // Rules and payee history win over the category picked here
+    onImport(statementRowsToTransactions(rows, accountId, null).map(tx => ({
+      ...tx,
+      categoryId: suggestCategory(data, tx) || categoryId || null
+    })));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content modal-wide" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2 className="modal-title">Import {format ? format.toUpperCase() : ''} Statement</h2>
+          <button className="modal-close" onClick={onCancel}>×</button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">{file.name}</p>
+
+        {!format && (
+          <p className="text-error mb-4">This file doesn't look like a CSV, OFX or QIF statement.</p>
+        )}
+
+        <div className="form-row mb-4">
+          <div className="form-group">
+            <label className="form-label">Import into account</label>
+            <select className="form-input" value={accountId} onChange={e => setAccountId(e.target.value)}>
+              <option value="" disabled>Select Account</option>
+              {data.accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Category when no rule matches</label>
+            <select className="form-input" value={categoryId} onChange={e => setCategoryId(e.target.value)}>
+              <option value="">Uncategorized</option>
+              {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </div>
+          {format !== 'ofx' && (
+            <div className="form-group">
+              <label className="form-label">Date format</label>
+              <select
+                className="form-input"
+                value={format === 'csv' ? mapping.dateFormat : dateFormat}
+                onChange={e => format === 'csv' ? updateMapping({ dateFormat: e.target.value }) : setDateFormat(e.target.value)}
+              >
+                {Object.entries(DATE_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {format === 'csv' && (
+          <div className="import-mapping mb-4">
+            <h3 className="font-semibold mb-2">Column Mapping</h3>
+            <div className="flex gap-4 mb-2">
+              <label className="text-sm">
+                <input type="checkbox" checked={mapping.hasHeader} onChange={e => updateMapping({ hasHeader: e.target.checked })} />
+                {' '}First row is a header
+              </label>
+              <label className="text-sm">
+                <input type="checkbox" checked={mapping.invert} onChange={e => updateMapping({ invert: e.target.checked })} />
+                {' '}Flip signs (charges are positive)
+              </label>
+            </div>
+            <div className="form-row">
+              <ColumnSelect label="Date" columns={columns} value={mapping.date} onChange={date => updateMapping({ date })} />
+              <ColumnSelect label="Payee" columns={columns} value={mapping.payee} onChange={payee => updateMapping({ payee })} optional />
+              <ColumnSelect label="Memo" columns={columns} value={mapping.memo} onChange={memo => updateMapping({ memo })} optional />
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label className="form-label">Amounts</label>
+                <select className="form-input" value={mapping.amountMode} onChange={e => updateMapping({ amountMode: e.target.value })}>
+                  <option value="single">One amount column</option>
+                  <option value="split">Separate debit / credit columns</option>
+                </select>
+              </div>
+              {mapping.amountMode === 'single' ? (
+                <ColumnSelect label="Amount" columns={columns} value={mapping.amount} onChange={amount => updateMapping({ amount })} optional />
+              ) : (
+                <>
+                  <ColumnSelect label="Debit (outflow)" columns={columns} value={mapping.debit} onChange={debit => updateMapping({ debit })} optional />
+                  <ColumnSelect label="Credit (inflow)" columns={columns} value={mapping.credit} onChange={credit => updateMapping({ credit })} optional />
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        <h3 className="font-semibold mb-2">
+          Preview <span className="text-sm text-gray-500">({validCount} of {rows.length} rows will be imported)</span>
+        </h3>
+        <div className="import-preview">
+          <table className="data-table">
+            <thead>
+              <tr><th>Date</th><th>Payee</th><th>Memo</th><th className="text-right">Amount</th></tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, 50).map((row, index) => (
+                <tr key={index} className={isValidStatementRow(row) ? '' : 'invalid'}>
+                  <td>{row.date ? formatDate(row.date) : 'Invalid date'}</td>
+                  <td>{row.payee}</td>
+                  <td>{row.memo}</td>
+                  <td className={`text-right font-mono ${row.amount >= 0 ? 'text-success' : 'text-error'}`}>
+                    {isNaN(row.amount) ? 'Invalid amount' : formatCurrency(row.amount, accountCurrency(data, accountId))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > 50 && <p className="text-sm text-gray-500 mt-2">…and {rows.length - 50} more rows</p>}
+        </div>
+
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleImport} disabled={!accountId || validCount === 0}>
+            Import {validCount} Transaction{validCount !== 1 ? 's' : ''}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+
+// Shown instead of the app when the saved budget can't be loaded. Nothing is
+// saved while this screen is up, so the stored data stays as it was until the
+// user picks a way forward.
+export function StorageErrorScreen({ error, onRetry, onDownload, onRestore, onStartFresh }) {
+  const [restoreError, setRestoreError] = useState('');
+
+  async function handleRestore(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setRestoreError('');
+    try {
+      await onRestore(file);
+    } catch (err) {
+      setRestoreError(err.message);
+    }
+  }
+
+  function handleStartFresh() {
+    const warning = error.raw
+      ? 'Start with an empty budget? Download your saved data first if you may want it back.'
+      : 'Start with an empty budget? Anything saved that couldn\'t be read will be replaced.';
+    if (window.confirm(warning)) onStartFresh();
+  }
+
+  return (
+    <div className="app-container">
+      <div className="storage-error">
+        <h2 className="section-title">Your budget couldn't be loaded</h2>
+        <p className="text-error mb-4">{error.message}</p>
+        {error.cause?.message && <p className="text-sm text-gray-500 mb-4">Details: {error.cause.message}</p>}
+        <p className="text-gray-600 mb-6">
+          Nothing has been changed or deleted. Try loading again, or choose how to recover below.
+        </p>
+        <div className="storage-error-actions">
+          <button className="btn btn-primary" onClick={onRetry}>Try Again</button>
+          {error.raw && (
+            <button className="btn btn-secondary" onClick={() => onDownload(error.raw)}>Download Saved Data</button>
+          )}
+          <label className="btn btn-secondary">
+            Restore from Backup File
+            <input type="file" accept=".json" className="file-input" onChange={handleRestore} />
+          </label>
+          <button className="btn btn-secondary" onClick={handleStartFresh}>Start Fresh</button>
+        </div>
+        {restoreError && <p className="text-error text-sm mt-4">Couldn't restore that file: {restoreError}</p>}
+      </div>
+    </div>
+  );
+}
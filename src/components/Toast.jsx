@@ -0,0 +1,19 @@
+import React, { useEffect } from 'react';
+
+// Short-lived notice at the bottom of the screen with an optional action
+export function Toast({ message, actionLabel, onAction, onClose, duration = 8000 }) {
+  useEffect(() => {
+    const timer = setTimeout(onClose, duration);
+    return () => clearTimeout(timer);
+  }, [onClose, duration]);
+
+  return (
+    <div className="toast" role="status" aria-live="polite">
+      <span>{message}</span>
+      {actionLabel && (
+        <button className="toast-action" onClick={onAction}>{actionLabel}</button>
+      )}
+      <button className="toast-close" onClick={onClose} aria-label="Dismiss">×</button>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React from 'react';
+import { DIRECTIONS, SORT_FIELDS, UNCATEGORIZED, emptyFilters, hasActiveFilters } from '../utils/filters.js';
+
+// Filter bar and sortable column headers for a transaction list
+export function TransactionFilters({ data, filters, onChange, sort, onSort }) {
+  const update = changes => onChange({ ...filters, ...changes });
+
+  function toggleSort(field) {
+    if (sort.field === field) onSort({ field, dir: sort.dir === 'asc' ? 'desc' : 'asc' });
+    else onSort({ field, dir: field === 'date' || field === 'amount' ? 'desc' : 'asc' });
+  }
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-grid">
+        <input
+          className="form-input filter-search"
+          type="search"
+          placeholder="Search payee or memo"
+          value={filters.text}
+          onChange={e => update({ text: e.target.value })}
+          aria-label="Search payee or memo"
+        />
+        <label className="filter-field">
+          From
+          <input className="form-input" type="date" value={filters.from} onChange={e => update({ from: e.target.value })} />
+        </label>
+        <label className="filter-field">
+          To
+          <input className="form-input" type="date" value={filters.to} onChange={e => update({ to: e.target.value })} />
+        </label>
+        <select className="form-input" value={filters.accountId} onChange={e => update({ accountId: e.target.value })} aria-label="Account">
+          <option value="">All accounts</option>
+          {data.accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        <select className="form-input" value={filters.categoryId} onChange={e => update({ categoryId: e.target.value })} aria-label="Category">
+          <option value="">All categories</option>
+          <option value={UNCATEGORIZED}>Uncategorized</option>
+          {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+        <select className="form-input" value={filters.direction} onChange={e => update({ direction: e.target.value })} aria-label="Inflow or outflow">
+          {Object.entries(DIRECTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <label className="filter-field">
+          Min
+          <input
+            className="form-input"
+            type="text"
+            inputMode="decimal"
+            placeholder="0.00"
+            value={filters.minAmount}
+            onChange={e => update({ minAmount: e.target.value })}
+          />
+        </label>
+        <label className="filter-field">
+          Max
+          <input
+            className="form-input"
+            type="text"
+            inputMode="decimal"
+            placeholder="Any"
+            value={filters.maxAmount}
+            onChange={e => update({ maxAmount: e.target.value })}
+          />
+        </label>
+      </div>
+      <div className="filter-sort">
+        <span className="text-sm text-gray-500">Sort by</span>
+        {Object.entries(SORT_FIELDS).map(([field, label]) => (
+          <button
+            key={field}
+            type="button"
+            className={`btn btn-sm ${sort.field === field ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => toggleSort(field)}
+            aria-pressed={sort.field === field}
+          >
+            {label}{sort.field === field ? (sort.dir === 'asc' ? ' ↑' : ' ↓') : ''}
+          </button>
+        ))}
+        {hasActiveFilters(filters) && (
+          <button type="button" className="btn btn-sm filter-clear" onClick={() => onChange(emptyFilters())}>
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
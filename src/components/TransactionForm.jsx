@@ -0,0 +1,370 @@
+import React, { useState } from 'react';
+import { formatCurrency, formatDate, formatNumber, parseAmount } from '../utils/format.js';
+import { localDay, toDayKey } from '../utils/dates.js';
+import { isSplit, isTransfer, splitRemainder, splitsBalance, transferDetails, TRANSFER } from '../utils/transactions.js';
+import { isUncategorized } from '../utils/ledger.js';
+import { payeeDefaults, payeeName } from '../utils/payees.js';
+import { accountCurrency, convert } from '../utils/currency.js';
+import { PayeeInput } from './PayeeInput.jsx';
+
+function initialForm(data, tx) {
+  if (tx && isTransfer(tx)) {
+    const { fromAccountId, toAccountId, amount } = transferDetails(tx);
+    const inLeg = tx.amount < 0 ? data.transactions.find(t => t.transferId === tx.transferId && t.id !== tx.id) : tx;
+    return {
+      accountId: fromAccountId,
+      toAccountId,
+      categoryId: '',
+      amount: formatNumber(amount),
+      receivedAmount: inLeg ? formatNumber(Math.abs(inLeg.amount)) : '',
+      date: toDayKey(tx.date),
+      payee: '',
+      memo: tx.memo || '',
+      splits: null,
+      transfer: true
+    };
+  }
+  if (tx) {
+    return {
+      accountId: tx.accountId,
+      toAccountId: '',
+      categoryId: tx.categoryId || '',
+      amount: formatNumber(tx.amount),
+      receivedAmount: '',
+      date: toDayKey(tx.date),
+      payee: payeeName(data, tx.payeeId),
+      memo: tx.memo || '',
+      splits: isSplit(tx)
+        ? tx.splits.map(line => ({ categoryId: line.categoryId, amount: formatNumber(line.amount), memo: line.memo || '' }))
+        : null,
+      transfer: false
+    };
+  }
+  return {
+    accountId: data.accounts[0]?.id || '',
+    toAccountId: data.accounts[1]?.id || '',
+    categoryId: data.categories[0]?.id || '',
+    amount: '',
+    receivedAmount: '',
+    date: localDay(),
+    payee: '',
+    memo: '',
+    splits: null,
+    transfer: false
+  };
+}
+
+// Add/edit form for a transaction, with optional split category lines,
+// or for a transfer between two accounts
+export function TransactionForm({ data, transaction, submitLabel = 'Add Transaction', onSubmit, onCancel, compact = false }) {
+  const [form, setForm] = useState(() => initialForm(data, transaction));
+  const [error, setError] = useState('');
+  // A received amount the user hasn't typed follows the amount sent: changing
+  // what's sent clears it back to the exchange-rate default
+  const [receivedEdited, setReceivedEdited] = useState(false);
+  // Starting balances and adjustments keep their type and carry no category
+  const uncategorized = transaction ? isUncategorized(transaction) && !isTransfer(transaction) : false;
+
+  const total = parseAmount(form.amount) || 0;
+  const remainder = form.splits ? splitRemainder(total, form.splits) : 0;
+  const currency = accountCurrency(data, form.accountId);
+  // A transfer between currencies records how much arrives, defaulting to the exchange rate
+  const toCurrency = accountCurrency(data, form.toAccountId);
+  const crossCurrency = form.transfer && form.toAccountId && toCurrency !== currency;
+  const convertedAmount = crossCurrency ? convert(data, Math.abs(total), currency, toCurrency) : null;
+
+  // While adding, the payee and memo pre-fill the category and account
+  function updateDescription(changes) {
+    setForm(f => {
+      const next = { ...f, ...changes };
+      if (transaction || next.transfer || next.splits) return next;
+      return { ...next, ...payeeDefaults(data, next) };
+    });
+  }
+
+  function startSplit() {
+    setForm(f => ({
+      ...f,
+      splits: [
+        { categoryId: f.categoryId || data.categories[0]?.id || '', amount: f.amount, memo: '' },
+        { categoryId: '', amount: '', memo: '' }
+      ]
+    }));
+  }
+  function cancelSplit() {
+    setForm(f => ({ ...f, categoryId: f.splits[0]?.categoryId || f.categoryId, splits: null }));
+  }
+  function updateSplit(index, changes) {
+    setForm(f => ({ ...f, splits: f.splits.map((line, i) => i === index ? { ...line, ...changes } : line) }));
+  }
+  function removeSplit(index) {
+    setForm(f => ({ ...f, splits: f.splits.filter((_, i) => i !== index) }));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!form.accountId || !form.amount) return;
+    const amount = parseAmount(form.amount);
+    if (isNaN(amount)) return;
+    if (!form.date) {
+      setError('Choose a date.');
+      return;
+    }
+
+    if (form.transfer) {
+      if (!form.toAccountId || form.toAccountId === form.accountId) {
+        setError('Choose two different accounts for a transfer.');
+        return;
+      }
+      let receivedAmount;
+      if (crossCurrency) {
+        receivedAmount = form.receivedAmount ? parseAmount(form.receivedAmount) : convertedAmount;
+        if (receivedAmount === null || isNaN(receivedAmount)) {
+          setError(`Enter the amount received in ${toCurrency}, or add an exchange rate for it.`);
+          return;
+        }
+        receivedAmount = Math.abs(Math.round(receivedAmount * 100) / 100);
+      }
+      setError('');
+      onSubmit({
+        type: TRANSFER,
+        accountId: form.accountId,
+        transferAccountId: form.toAccountId,
+        amount: Math.abs(amount),
+        receivedAmount,
+        memo: form.memo,
+        date: form.date
+      });
+      if (!transaction) {
+        setForm(f => ({ ...f, amount: '', receivedAmount: '', memo: '' }));
+        setReceivedEdited(false);
+      }
+      return;
+    }
+
+    const fields = { accountId: form.accountId, amount, payee: form.payee.trim(), memo: form.memo, date: form.date };
+    if (uncategorized) {
+      fields.categoryId = null;
+    } else if (form.splits && form.splits.length > 1) {
+      if (form.splits.some(line => !line.categoryId || isNaN(parseAmount(line.amount)))) {
+        setError('Every split line needs a category and an amount.');
+        return;
+      }
+      if (!splitsBalance(amount, form.splits)) {
+        setError(`Split lines must add up to ${formatCurrency(amount, currency)} (${formatCurrency(splitRemainder(amount, form.splits), currency)} unassigned).`);
+        return;
+      }
+      fields.categoryId = null;
+      fields.splits = form.splits.map(line => ({
+        categoryId: line.categoryId,
+        amount: parseAmount(line.amount),
+        memo: line.memo
+      }));
+    } else {
+      const categoryId = form.splits ? form.splits[0]?.categoryId : form.categoryId;
+      if (!categoryId) return;
+      fields.categoryId = categoryId;
+      fields.splits = undefined;
+    }
+
+    setError('');
+    onSubmit(fields);
+    if (!transaction) setForm(f => ({ ...f, amount: '', payee: '', memo: '', splits: null }));
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className={compact ? 'transaction-form compact' : 'space-y-4'}>
+      {!transaction && (
+        <div className="flex gap-2 mb-4">
+          <button
+            type="button"
+            className={`btn btn-sm ${form.transfer ? 'btn-secondary' : 'btn-primary'}`}
+            onClick={() => setForm(f => ({ ...f, transfer: false }))}
+          >
+            Transaction
+          </button>
+          <button
+            type="button"
+            className={`btn btn-sm ${form.transfer ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setForm(f => ({ ...f, transfer: true, splits: null }))}
+          >
+            Transfer
+          </button>
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">{form.transfer ? 'From Account' : 'Account'}</label>
+          <select
+            className="form-input"
+            value={form.accountId}
+            onChange={e => setForm(f => ({ ...f, accountId: e.target.value }))}
+          >
+            <option value="" disabled>Select Account</option>
+            {data.accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+          </select>
+        </div>
+        {form.transfer && (
+          <div className="form-group">
+            <label className="form-label">To Account</label>
+            <select
+              className="form-input"
+              value={form.toAccountId}
+              onChange={e => setForm(f => ({ ...f, toAccountId: e.target.value }))}
+            >
+              <option value="" disabled>Select Account</option>
+              {data.accounts.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+          </div>
+        )}
+        {!form.transfer && !uncategorized && (
+          <div className="form-group">
+            <label className="form-label">Category</label>
+            {form.splits ? (
+              <button type="button" className="btn btn-secondary btn-sm" onClick={cancelSplit}>
+                Remove split
+              </button>
+            ) : (
+              <div className="flex gap-2">
+                <select
+                  className="form-input"
+                  value={form.categoryId}
+                  onChange={e => setForm(f => ({ ...f, categoryId: e.target.value }))}
+                >
+                  <option value="" disabled>Select Category</option>
+                  {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                </select>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={startSplit}>
+                  Split
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+      <div className={`grid grid-cols-1 ${form.transfer && !crossCurrency ? 'md:grid-cols-3' : 'md:grid-cols-4'} gap-4`}>
+        <div className="form-group">
+          <label className="form-label">Date</label>
+          <input
+            className="form-input"
+            type="date"
+            value={form.date}
+            onChange={e => setForm(f => ({ ...f, date: e.target.value }))}
+            required
+          />
+          {form.date > localDay() && <span className="text-sm text-gray-500">Pending until {formatDate(form.date)}</span>}
+        </div>
+        <div className="form-group">
+          <label className="form-label">Amount ({currency})</label>
+          <input
+            className="form-input"
+            type="text"
+            inputMode="decimal"
+            placeholder="0.00"
+            value={form.amount}
+            onChange={e => setForm(f => ({ ...f, amount: e.target.value, ...(receivedEdited ? {} : { receivedAmount: '' }) }))}
+            required
+          />
+        </div>
+        {crossCurrency && (
+          <div className="form-group">
+            <label className="form-label">Received ({toCurrency})</label>
+            <input
+              className="form-input"
+              type="text"
+              inputMode="decimal"
+              placeholder={convertedAmount !== null ? formatNumber(convertedAmount) : 'No exchange rate'}
+              value={form.receivedAmount}
+              onChange={e => {
+                setForm(f => ({ ...f, receivedAmount: e.target.value }));
+                setReceivedEdited(e.target.value !== '');
+              }}
+            />
+          </div>
+        )}
+        {!form.transfer && (
+          <div className="form-group">
+            <label className="form-label">Payee</label>
+            <PayeeInput payees={data.payees} value={form.payee} onChange={payee => updateDescription({ payee })} />
+          </div>
+        )}
+        <div className="form-group">
+          <label className="form-label">Memo</label>
+          <input
+            className="form-input"
+            type="text"
+            placeholder="Transaction description"
+            value={form.memo}
+            onChange={e => updateDescription({ memo: e.target.value })}
+          />
+        </div>
+      </div>
+
+      {form.splits && (
+        <div className="split-lines">
+          {form.splits.map((line, index) => (
+            <div key={index} className="split-line">
+              <select
+                className="form-input"
+                value={line.categoryId}
+                onChange={e => updateSplit(index, { categoryId: e.target.value })}
+              >
+                <option value="" disabled>Select Category</option>
+                {data.categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+              </select>
+              <input
+                className="form-input"
+                type="text"
+                inputMode="decimal"
+                placeholder="0.00"
+                value={line.amount}
+                onChange={e => updateSplit(index, { amount: e.target.value })}
+              />
+              <input
+                className="form-input"
+                type="text"
+                placeholder="Line memo"
+                value={line.memo}
+                onChange={e => updateSplit(index, { memo: e.target.value })}
+              />
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => removeSplit(index)}
+                disabled={form.splits.length <= 1}
+                aria-label="Remove split line"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between">
+            <button
+              type="button"
+              className="btn btn-sm"
+              onClick={() => setForm(f => ({ ...f, splits: [...f.splits, { categoryId: '', amount: remainder ? formatNumber(remainder) : '', memo: '' }] }))}
+            >
+              + Add line
+            </button>
+            <span className={`text-sm ${splitsBalance(total, form.splits) ? 'text-success' : 'text-error'}`}>
+              Unassigned: {formatCurrency(remainder, currency)}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-error text-sm">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button className={`btn btn-primary ${compact ? '' : 'btn-lg'}`} type="submit">
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
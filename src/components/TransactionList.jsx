@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { TransactionForm } from './TransactionForm.jsx';
+import { VirtualList } from './VirtualList.jsx';
+import { formatCurrency, formatDate } from '../utils/format.js';
+import { categoryLabel, isTransfer } from '../utils/transactions.js';
+import { payeeName } from '../utils/payees.js';
+import { findAccount } from '../utils/selectors.js';
+import { accountCurrency, baseCurrency } from '../utils/currency.js';
+import { clearedStatus, isLocked, isPending, isReconciled, UNCLEARED, CLEARED, RECONCILED } from '../utils/ledger.js';
+import { localDay } from '../utils/dates.js';
+
+const STATUS_ICONS = { [UNCLEARED]: '○', [CLEARED]: 'C', [RECONCILED]: '🔒' };
+const STATUS_TITLES = {
+  [UNCLEARED]: 'Uncleared — click to mark cleared',
+  [CLEARED]: 'Cleared — click to mark uncleared',
+  [RECONCILED]: 'Reconciled'
+};
+
+// Reconciled transactions are locked; changing one needs an explicit confirmation,
+// which is passed on as `unlock`
+function confirmUnlock(data, tx) {
+  return !isLocked(data.transactions, tx) ||
+    window.confirm('This transaction has been reconciled. Changing it will throw off your reconciled balance. Continue?');
+}
+
+// Transaction rows with cleared status, inline edit and delete. Long lists
+// are virtualized.
+// Amounts show in each account's currency. `runningTotals` (id -> amount in
+// the base currency) adds a running total to each row.
+export function TransactionList({ transactions, data, showAccount = true, runningTotals, onUpdate, onDelete, onToggleCleared }) {
+  const [editingId, setEditingId] = useState(null);
+  const today = localDay();
+
+  return (
+    <VirtualList
+      items={transactions}
+      renderItem={tx =>
+        editingId === tx.id ? (
+          <li key={tx.id} className="list-item editing">
+            <TransactionForm
+              data={data}
+              transaction={tx}
+              submitLabel="Save"
+              compact
+              onSubmit={fields => { onUpdate(tx.id, fields, { unlock: true }); setEditingId(null); }}
+              onCancel={() => setEditingId(null)}
+            />
+          </li>
+        ) : (
+          <li key={tx.id} className={`list-item ${isTransfer(tx) ? 'transfer' : ''}`}>
+            <div className="list-item-content">
+              <button
+                className={`cleared-toggle ${clearedStatus(tx)}`}
+                title={STATUS_TITLES[clearedStatus(tx)]}
+                aria-label={STATUS_TITLES[clearedStatus(tx)]}
+                onClick={() => onToggleCleared(tx.id)}
+                disabled={isReconciled(tx)}
+              >
+                {STATUS_ICONS[clearedStatus(tx)]}
+              </button>
+              <span className="text-sm text-gray-500 min-w-[80px]">{formatDate(tx.date)}</span>
+              {isPending(tx, today) && <span className="pending-badge" title="Dated in the future">Pending</span>}
+              <span className={`font-mono text-lg font-bold ${tx.amount >= 0 ? 'text-success' : 'text-error'}`}>
+                {formatCurrency(tx.amount, accountCurrency(data, tx.accountId))}
+              </span>
+              {showAccount && (
+                <span className="font-semibold">{findAccount(data, tx.accountId)?.name}</span>
+              )}
+              {tx.payeeId && <span className="font-semibold">{payeeName(data, tx.payeeId)}</span>}
+              <span className="text-gray-600">{categoryLabel(tx, data)}</span>
+              <span className="italic text-gray-700">{tx.memo}</span>
+              {runningTotals && (
+                <span className="running-total font-mono text-sm text-gray-500" title="Running total">
+                  {formatCurrency(runningTotals[tx.id] ?? 0, baseCurrency(data))}
+                </span>
+              )}
+            </div>
+            <div className="list-item-actions">
+              <button className="btn btn-secondary btn-sm" onClick={() => confirmUnlock(data, tx) && setEditingId(tx.id)}>
+                Edit
+              </button>
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={() => {
+                  if (!confirmUnlock(data, tx)) return;
+                  if (window.confirm(`Delete "${payeeName(data, tx.payeeId) || tx.memo || 'Transaction'}" (${formatCurrency(tx.amount, accountCurrency(data, tx.accountId))})?`)) onDelete(tx.id, { unlock: true });
+                }}
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        )
+      }
+    />
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// Lists shorter than this render in full
+const VIRTUALIZE_AFTER = 100;
+
+const idOf = item => item.id;
+
+// First index whose bottom edge is below `top`
+function firstVisible(offsets, top) {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= top) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Scrolling <ul> that only mounts the rows near the viewport. Row heights are
+// measured after render, so rows may grow (e.g. while being edited); rows not
+// seen yet are assumed to be `estimatedHeight` tall.
+export function VirtualList({ items, itemKey = idOf, renderItem, className = 'list', estimatedHeight = 64, overscan = 8 }) {
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const heights = useRef(new Map());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewport, setViewport] = useState(600);
+  const [resized, setResized] = useState(0);
+  const [, setMeasured] = useState(0);
+  const virtual = items.length > VIRTUALIZE_AFTER;
+
+  const offsets = [0];
+  if (virtual) {
+    for (const item of items) offsets.push(offsets[offsets.length - 1] + (heights.current.get(itemKey(item)) ?? estimatedHeight));
+  }
+  const start = virtual ? Math.max(0, firstVisible(offsets, scrollTop) - overscan) : 0;
+  let end = items.length;
+  if (virtual) {
+    end = start;
+    while (end < items.length && offsets[end] < scrollTop + viewport) end++;
+    end = Math.min(items.length, end + overscan);
+  }
+
+  // A row changing size (say, opening its edit form) resizes the list
+  useEffect(() => {
+    if (!virtual || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => setResized(n => n + 1));
+    observer.observe(listRef.current);
+    observer.observe(scrollRef.current);
+    return () => observer.disconnect();
+  }, [virtual]);
+
+  // Record the real height of every mounted row; re-render only if one changed
+  useLayoutEffect(() => {
+    if (!virtual || !listRef.current) return;
+    let changed = false;
+    Array.from(listRef.current.children).forEach((row, i) => {
+      const key = itemKey(items[start + i]);
+      if (heights.current.get(key) !== row.offsetHeight) {
+        heights.current.set(key, row.offsetHeight);
+        changed = true;
+      }
+    });
+    if (scrollRef.current && scrollRef.current.clientHeight !== viewport) {
+      setViewport(scrollRef.current.clientHeight);
+    }
+    if (changed) setMeasured(n => n + 1);
+  }, [virtual, items, itemKey, start, end, viewport, resized]);
+
+  if (!virtual) {
+    return <ul className={className}>{items.map(renderItem)}</ul>;
+  }
+
+  return (
+    <div className="virtual-scroll" ref={scrollRef} onScroll={e => setScrollTop(e.currentTarget.scrollTop)}>
+      <ul
+        ref={listRef}
+        className={className}
+        style={{ paddingTop: offsets[start], paddingBottom: offsets[items.length] - offsets[end] }}
+      >
+        {items.slice(start, end).map(renderItem)}
+      </ul>
+    </div>
+  );
+}
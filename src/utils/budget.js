@@ -0,0 +1,99 @@
+// Month-based envelope budgeting helpers.
+// Budget allocations live on each category as `budgets: { 'YYYY-MM': amount }`.
+// A category's available amount rolls over month to month, so leftovers (and
+// overspending) carry forward into the next month.
+
+import { categoryActivityInMonth, categoryActivityThrough, totalThrough } from './selectors.js';
+import { localDay, toDayKey } from './dates.js';
+import { formatSettings } from './format.js';
+
+// The month of a day key, or of a Date in the local calendar
+export function monthKey(date) {
+  if (date instanceof Date) return localDay(date).slice(0, 7);
+  return String(date).slice(0, 7);
+}
+
+export function currentMonth() {
+  return monthKey(new Date());
+}
+
+export function shiftMonth(month, delta) {
+  const [year, mon] = month.split('-').map(Number);
+  return monthKey(new Date(year, mon - 1 + delta, 1));
+}
+
+// "October 2026", or "Oct 26" with `short` for chart labels
+export function formatMonth(month, { short = false } = {}) {
+  const [year, mon] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, mon - 1, 1)).toLocaleString(formatSettings().locale || undefined, {
+    month: short ? 'short' : 'long',
+    year: short ? '2-digit' : 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+// Amount assigned to a category in a single month
+export function budgetedInMonth(cat, month) {
+  return Number(cat.budgets?.[month]) || 0;
+}
+
+// Total assigned to a category in every month up to and including `month`
+export function budgetedThrough(cat, month) {
+  return Object.entries(cat.budgets || {})
+    .filter(([m]) => m <= month)
+    .reduce((s, [, amt]) => s + (Number(amt) || 0), 0);
+}
+
+// Activity is converted into the budget's base currency
+export function activityInMonth(data, catId, month) {
+  return categoryActivityInMonth(data, catId, month);
+}
+
+export function activityThrough(data, catId, month) {
+  return categoryActivityThrough(data, catId, month);
+}
+
+// Budgeted / activity / rollover / available for one category in one month
+export function categoryMonthSummary(data, cat, month) {
+  const prev = shiftMonth(month, -1);
+  const carryover = budgetedThrough(cat, prev) + activityThrough(data, cat.id, prev);
+  const budgeted = budgetedInMonth(cat, month);
+  const activity = activityInMonth(data, cat.id, month);
+  return {
+    budgeted,
+    activity,
+    carryover,
+    available: carryover + budgeted + activity
+  };
+}
+
+// Account balances as they stood at the end of `month`, in the base currency
+export function balanceAtEndOf(data, month) {
+  return totalThrough(data, month);
+}
+
+// Money on hand at the end of `month` that is not sitting in any category
+export function availableToBudget(data, month) {
+  const inCategories = data.categories.reduce((s, cat) =>
+    s + budgetedThrough(cat, month) + activityThrough(data, cat.id, month), 0);
+  return balanceAtEndOf(data, month) - inCategories;
+}
+
+// Moves the old lifetime `budgeted` number into the month of the first
+// transaction (or the current month) so older saves keep their allocations.
+// Saves this old still hold timestamps, so dates are read as local days first,
+// the same way the later date migration stores them.
+export function migrateCategoryBudgets(data) {
+  if (!data.categories.some(c => !c.budgets)) return data;
+  const firstMonth = data.transactions.length > 0
+    ? data.transactions.map(tx => monthKey(toDayKey(tx.date) || tx.date)).sort()[0]
+    : currentMonth();
+  return {
+    ...data,
+    categories: data.categories.map(c => {
+      if (c.budgets) return c;
+      const { budgeted, ...rest } = c;
+      return { ...rest, budgets: budgeted ? { [firstMonth]: Number(budgeted) || 0 } : {} };
+    })
+  };
+}
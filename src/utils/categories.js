@@ -0,0 +1,41 @@
+// Category groups.
+// Groups live in display order in `data.categoryGroups` as
+// `{ id, name, collapsed, hidden }`, and a category joins one through its
+// `groupId`. Categories without a group (or whose group is gone) are listed
+// after the groups under "Ungrouped". Hiding a group only takes it out of the
+// budget views; its categories still hold money and count in every total.
+
+export const UNGROUPED = '';
+
+export function categoryGroups(data) {
+  return data.categoryGroups || [];
+}
+
+// Groups in display order with their categories: `[{ group, categories }]`.
+// The ungrouped section is left out when it has no categories.
+export function groupedCategories(data, { includeHidden = true } = {}) {
+  const groups = categoryGroups(data);
+  const known = new Set(groups.map(g => g.id));
+  const sections = groups
+    .filter(group => includeHidden || !group.hidden)
+    .map(group => ({ group, categories: data.categories.filter(c => c.groupId === group.id) }));
+  const ungrouped = data.categories.filter(c => !known.has(c.groupId));
+  if (ungrouped.length > 0) sections.push({ group: { id: UNGROUPED, name: 'Ungrouped' }, categories: ungrouped });
+  return sections;
+}
+
+// Moves a group `delta` places up (negative) or down the list
+export function moveGroup(groups, id, delta) {
+  const from = groups.findIndex(g => g.id === id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= groups.length) return groups;
+  const next = [...groups];
+  const [group] = next.splice(from, 1);
+  next.splice(to, 0, group);
+  return next;
+}
+
+// Adds up the fields of several per-category summaries, for group subtotals
+export function sumSummaries(summaries, fields) {
+  return Object.fromEntries(fields.map(field => [field, summaries.reduce((s, summary) => s + summary[field], 0)]));
+}
@@ -0,0 +1,96 @@
+// Passphrase encryption for exported files and the saved copy of the budget.
+// Uses the Web Crypto API: PBKDF2-SHA-256 turns the passphrase into an AES-GCM
+// key. Encrypted data is wrapped in a small JSON envelope that records the salt,
+// IV and iteration count, so a file can be decrypted with the passphrase alone.
+
+export const ENCRYPTED_FORMAT = 'questionable-budget-encrypted';
+const ENVELOPE_VERSION = 1;
+const ITERATIONS = 310000;
+
+export class DecryptError extends Error {
+  constructor(message = 'Wrong passphrase, or the file is damaged') {
+    super(message);
+    this.name = 'DecryptError';
+  }
+}
+
+function subtle() {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Encryption needs a browser with the Web Crypto API, opened over https or localhost');
+  }
+  return globalThis.crypto.subtle;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  const view = new Uint8Array(bytes);
+  // Chunked so large datasets don't overflow the argument limit
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export function isEncrypted(value) {
+  return Boolean(value) && typeof value === 'object' && value.format === ENCRYPTED_FORMAT;
+}
+
+// A key plus the salt it was derived with; reusable for many encryptions
+export async function deriveKey(passphrase, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = ITERATIONS) {
+  const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await subtle().deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  return { key, salt, iterations };
+}
+
+export async function encryptWithKey(value, { key, salt, iterations }) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(ciphertext)
+  };
+}
+
+// The key matching an envelope, derived from its salt and iteration count
+export function keyForEnvelope(envelope, passphrase) {
+  return deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+}
+
+export async function decryptWithKey(envelope, { key }) {
+  if (!isEncrypted(envelope) || envelope.version !== ENVELOPE_VERSION) {
+    throw new DecryptError('Unsupported encrypted file format');
+  }
+  let plaintext;
+  try {
+    plaintext = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) }, key, fromBase64(envelope.data));
+  } catch {
+    throw new DecryptError();
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+export async function encryptJSON(value, passphrase) {
+  return encryptWithKey(value, await deriveKey(passphrase));
+}
+
+export async function decryptJSON(envelope, passphrase) {
+  if (!isEncrypted(envelope)) throw new DecryptError('Unsupported encrypted file format');
+  return decryptWithKey(envelope, await keyForEnvelope(envelope, passphrase));
+}
@@ -0,0 +1,127 @@
+// Currencies and exchange rates.
+// Each account has a `currency` (an ISO 4217 code) and the budget has a
+// `baseCurrency`. `exchangeRates` maps a currency to how many units of the base
+// currency one unit of it is worth, e.g. `{ EUR: 1.08 }` in a USD budget.
+// Balances and transactions stay in their account's currency; totals, category
+// activity and charts are converted into the base currency. A currency without
+// a rate converts to nothing, and views warn about it rather than guessing.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export const COMMON_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR', 'MXN', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'ZAR'
+];
+
+const factorCache = new WeakMap();
+
+export function isCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(code);
+}
+
+export function baseCurrency(data) {
+  return data.baseCurrency || DEFAULT_CURRENCY;
+}
+
+export function accountCurrency(data, accountId) {
+  return data.accounts.find(a => a.id === accountId)?.currency || baseCurrency(data);
+}
+
+// Units of the base currency per unit of `currency`, or null without a rate
+export function rateFor(data, currency) {
+  if (currency === baseCurrency(data)) return 1;
+  const rate = Number(data.exchangeRates?.[currency]);
+  return rate > 0 ? rate : null;
+}
+
+export function toBase(data, amount, currency) {
+  return amount * (rateFor(data, currency) ?? 0);
+}
+
+// A transaction's amount in the base currency
+export function baseAmount(data, tx) {
+  return tx.amount * (conversionFactors(data).get(tx.accountId) ?? 0);
+}
+
+// `amount` in `from` expressed in `to`, or null when either rate is missing
+export function convert(data, amount, from, to) {
+  if (from === to) return amount;
+  const fromRate = rateFor(data, from);
+  const toRate = rateFor(data, to);
+  return fromRate === null || toRate === null ? null : amount * fromRate / toRate;
+}
+
+// Currencies of the budget's accounts other than the base, sorted
+export function foreignCurrencies(data) {
+  const base = baseCurrency(data);
+  return [...new Set(data.accounts.map(a => a.currency || base))].filter(c => c !== base).sort();
+}
+
+export function missingRates(data) {
+  return foreignCurrencies(data).filter(c => rateFor(data, c) === null);
+}
+
+// Map of accountId -> multiplier into the base currency (0 without a rate).
+// Cached per accounts array, and reused while the base and rates are unchanged,
+// so selectors can key their own caches on it.
+export function conversionFactors(data) {
+  const cached = factorCache.get(data.accounts);
+  if (cached && cached.base === data.baseCurrency && cached.rates === data.exchangeRates) return cached.factors;
+  const factors = new Map(data.accounts.map(a => [a.id, rateFor(data, a.currency || baseCurrency(data)) ?? 0]));
+  factorCache.set(data.accounts, { base: data.baseCurrency, rates: data.exchangeRates, factors });
+  return factors;
+}
+
+// Rates re-expressed against a new base currency. Rates that can't be carried
+// over (because the new base has no rate yet) are dropped.
+export function rebaseRates(data, newBase) {
+  const pivot = rateFor(data, newBase);
+  if (pivot === null) return {};
+  const rates = { [baseCurrency(data)]: 1 / pivot };
+  for (const [currency, rate] of Object.entries(data.exchangeRates || {})) {
+    if (currency !== newBase) rates[currency] = rate / pivot;
+  }
+  return rates;
+}
+
+// Reads a local rates file. Rates are quoted the way most rate services publish
+// them: units of each currency per one unit of the file's base.
+//   JSON: { "base": "EUR", "rates": { "USD": 1.08, "GBP": 0.85 } }
+//   CSV:  one `CODE,rate` line per currency, quoted against the budget's base
+// Returns `{ rates, skipped }` in this budget's form (base units per unit).
+export function parseRatesFile(text, data) {
+  const base = baseCurrency(data);
+  let fileBase = base;
+  let quoted = {};
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      throw new Error('The rates file isn\'t valid JSON');
+    }
+    if (!parsed.rates || typeof parsed.rates !== 'object') throw new Error('The rates file has no "rates" object');
+    fileBase = String(parsed.base || base).toUpperCase();
+    quoted = parsed.rates;
+  } else {
+    for (const line of trimmed.split(/\r?\n/)) {
+      const [code, value] = line.split(/[,;\t]/).map(s => s.trim());
+      if (code && value !== undefined && isCurrencyCode(code.toUpperCase())) quoted[code.toUpperCase()] = value;
+    }
+  }
+
+  const perFileBase = { ...quoted, [fileBase]: 1 };
+  const baseQuote = Number(perFileBase[base]);
+  if (!(baseQuote > 0)) throw new Error(`The rates file doesn't include ${base}, this budget's base currency`);
+
+  const rates = {};
+  const skipped = [];
+  for (const [code, value] of Object.entries(perFileBase)) {
+    const currency = code.toUpperCase();
+    if (currency === base) continue;
+    const quote = Number(value);
+    if (isCurrencyCode(currency) && quote > 0) rates[currency] = baseQuote / quote;
+    else skipped.push(code);
+  }
+  return { rates, skipped };
+}
@@ -0,0 +1,38 @@
+// Calendar days.
+// Transaction and schedule dates are stored as `YYYY-MM-DD` in the user's
+// local calendar, never as UTC timestamps, so an entry made late in the evening
+// stays on the day it was made. Timestamps (snapshot and budget creation times)
+// stay full ISO strings and are turned into local days only for comparison.
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const UTC_MIDNIGHT = /^\d{4}-\d{2}-\d{2}T00:00:00(\.000)?Z$/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// The local calendar day of a Date, as `YYYY-MM-DD`
+export function localDay(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function isDayKey(value) {
+  return typeof value === 'string' && DAY_PATTERN.test(value);
+}
+
+// A stored date as a calendar day. Day keys are kept as they are; timestamps
+// from older releases are read in the local time zone, except UTC midnight,
+// which is how imports and schedules used to write a bare day. Unreadable
+// values give ''.
+export function toDayKey(value) {
+  if (isDayKey(value)) return value;
+  if (UTC_MIDNIGHT.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return value && !isNaN(date) ? localDay(date) : '';
+}
+
+// Local midnight of a day key, for formatting and weekday maths
+export function dayToDate(dayKey) {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
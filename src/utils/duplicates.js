@@ -0,0 +1,108 @@
+// Import-time duplicate detection.
+// Incoming transactions are matched against existing ones in the same account
+// with the same amount and a date within a few days; memo similarity and bank
+// ids (`importId`) decide how confident the match is.
+
+import { genId } from './format.js';
+import { CLEARED, isReconciled } from './ledger.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+export const DEFAULT_DATE_WINDOW = 3;
+
+// Scores at or above this are treated as the same transaction by default
+export const LIKELY_DUPLICATE = 0.7;
+
+function words(text) {
+  return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 1));
+}
+
+// Jaccard similarity of the words in two memos, 0..1
+export function memoSimilarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 && wb.size === 0) return 1;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+// Text compared between two transactions; callers can include the payee name
+const memoText = tx => tx.memo;
+
+// 0..1 confidence that two transactions are the same, or 0 if they can't be
+export function matchScore(existing, incoming, dateWindow = DEFAULT_DATE_WINDOW, describe = memoText) {
+  if (existing.accountId !== incoming.accountId) return 0;
+  if (existing.importId && existing.importId === incoming.importId) return 1;
+  if (Math.round(existing.amount * 100) !== Math.round(incoming.amount * 100)) return 0;
+  const days = Math.abs(new Date(existing.date) - new Date(incoming.date)) / DAY;
+  if (days > dateWindow) return 0;
+  return 0.4 + 0.3 * (1 - days / (dateWindow + 1)) + 0.3 * memoSimilarity(describe(existing), describe(incoming));
+}
+
+// Pairs each incoming transaction with its best existing match. Each existing
+// transaction is claimed by at most one incoming row; rows carrying an id that
+// already exists (a re-imported JSON file) claim their twin first.
+export function findDuplicates(existing, incoming, dateWindow = DEFAULT_DATE_WINDOW, describe = memoText) {
+  const byId = new Map(existing.map(tx => [tx.id, tx]));
+  const byAccount = new Map();
+  for (const tx of existing) {
+    if (!byAccount.has(tx.accountId)) byAccount.set(tx.accountId, []);
+    byAccount.get(tx.accountId).push(tx);
+  }
+  const claimed = new Set(incoming.filter(tx => byId.has(tx.id)).map(tx => tx.id));
+  return incoming.map(tx => {
+    if (byId.has(tx.id)) return { incoming: tx, match: byId.get(tx.id), score: 1, action: 'skip' };
+    let match = null;
+    let score = 0;
+    for (const candidate of byAccount.get(tx.accountId) || []) {
+      if (claimed.has(candidate.id)) continue;
+      const s = matchScore(candidate, tx, dateWindow, describe);
+      if (s > score) { score = s; match = candidate; }
+    }
+    if (match) claimed.add(match.id);
+    return { incoming: tx, match, score, action: defaultAction(match, score) };
+  });
+}
+
+// Bank rows that match a hand-entered transaction are merged into it; rows
+// that match something already imported are skipped
+function defaultAction(match, score) {
+  if (!match || score < LIKELY_DUPLICATE) return 'import';
+  return match.importId || isReconciled(match) ? 'skip' : 'merge';
+}
+
+// The existing transaction keeps its category and memo and takes the bank's
+// date and id, so the next import recognises it. Matching a bank row also
+// means it has cleared. A reconciled transaction is locked and only takes the id.
+export function mergeTransaction(existing, incoming) {
+  const importId = incoming.importId ? { importId: incoming.importId } : {};
+  if (isReconciled(existing)) return { ...existing, ...importId };
+  return {
+    ...existing,
+    date: incoming.date,
+    memo: existing.memo || incoming.memo,
+    cleared: CLEARED,
+    ...importId
+  };
+}
+
+// Applies import/skip/merge decisions to the existing transaction list
+export function applyImportDecisions(transactions, decisions) {
+  const merges = new Map(
+    decisions.filter(d => d.action === 'merge' && d.match).map(d => [d.match.id, d.incoming])
+  );
+  const ids = new Set(transactions.map(tx => tx.id));
+  const added = decisions
+    .filter(d => d.action === 'import' || (d.action === 'merge' && !d.match))
+    .map(d => (ids.has(d.incoming.id) ? { ...d.incoming, id: genId() } : d.incoming));
+  return [
+    ...transactions.map(tx => merges.has(tx.id) ? mergeTransaction(tx, merges.get(tx.id)) : tx),
+    ...added
+  ];
+}
+
+// Records (accounts, categories) from `incoming` whose ids aren't in `existing`
+export function missingById(existing, incoming) {
+  const ids = new Set(existing.map(item => item.id));
+  return incoming.filter(item => !ids.has(item.id));
+}
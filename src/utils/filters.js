@@ -0,0 +1,120 @@
+// Transaction search, filtering and sorting for the Transactions view.
+// Filters are plain objects so they can be handed from one view to another
+// (e.g. drilling in from a Dashboard category or an account).
+
+import { categoryLabel, categoryLines, isSplit } from './transactions.js';
+import { payeeName } from './payees.js';
+import { findAccount, findCategory } from './selectors.js';
+import { parseAmount } from './format.js';
+
+export const UNCATEGORIZED = 'uncategorized';
+
+export const DIRECTIONS = { all: 'All', inflow: 'Inflow', outflow: 'Outflow' };
+
+export const SORT_FIELDS = {
+  date: 'Date',
+  amount: 'Amount',
+  account: 'Account',
+  category: 'Category',
+  payee: 'Payee'
+};
+
+export const DEFAULT_SORT = { field: 'date', dir: 'desc' };
+
+export function emptyFilters() {
+  return {
+    from: '',
+    to: '',
+    accountId: '',
+    categoryId: '',
+    minAmount: '',
+    maxAmount: '',
+    direction: 'all',
+    text: ''
+  };
+}
+
+export function hasActiveFilters(filters) {
+  const empty = emptyFilters();
+  return Object.keys(empty).some(key => filters[key] !== empty[key]);
+}
+
+// Filters for one category within one month, used by the Dashboard drill-in
+export function categoryMonthFilters(categoryId, month) {
+  return { ...emptyFilters(), categoryId, from: `${month}-01`, to: `${month}-31` };
+}
+
+function inCategory(tx, categoryId) {
+  if (categoryId === UNCATEGORIZED) return !isSplit(tx) && !tx.categoryId;
+  return categoryLines(tx).some(line => line.categoryId === categoryId);
+}
+
+function searchText(data, tx) {
+  const lines = isSplit(tx) ? tx.splits.map(line => line.memo) : [];
+  return [payeeName(data, tx.payeeId), tx.memo, ...lines].filter(Boolean).join(' ').toLowerCase();
+}
+
+// Amount bounds apply to the size of the transaction, whichever way it went
+export function filterTransactions(data, transactions, filters) {
+  const text = filters.text.trim().toLowerCase();
+  const min = parseAmount(filters.minAmount);
+  const max = parseAmount(filters.maxAmount);
+  return transactions.filter(tx => {
+    const day = tx.date.slice(0, 10);
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+    if (filters.accountId && tx.accountId !== filters.accountId) return false;
+    if (filters.categoryId && !inCategory(tx, filters.categoryId)) return false;
+    if (filters.direction === 'inflow' && tx.amount <= 0) return false;
+    if (filters.direction === 'outflow' && tx.amount >= 0) return false;
+    if (!isNaN(min) && Math.abs(tx.amount) < min) return false;
+    if (!isNaN(max) && Math.abs(tx.amount) > max) return false;
+    if (text && !searchText(data, tx).includes(text)) return false;
+    return true;
+  });
+}
+
+// Uses the indexed lookups so sorting a long register stays linear in its rows
+function sortKey(data, tx, field) {
+  if (field === 'amount') return tx.amount;
+  if (field === 'account') return findAccount(data, tx.accountId)?.name || '';
+  if (field === 'category') {
+    return categoryLabel(tx, data, { account: id => findAccount(data, id), category: id => findCategory(data, id) }) || '';
+  }
+  if (field === 'payee') return payeeName(data, tx.payeeId) || tx.memo || '';
+  return tx.date;
+}
+
+// Sorts a copy; ties keep entry order, so same-day transactions stay in the
+// order they were added (newest first when descending)
+export function sortTransactions(data, transactions, sort = DEFAULT_SORT) {
+  const sign = sort.dir === 'asc' ? 1 : -1;
+  return transactions
+    .map((tx, index) => ({ tx, index, key: sortKey(data, tx, sort.field) }))
+    .sort((a, b) => {
+      const order = typeof a.key === 'number' ? a.key - b.key : String(a.key).localeCompare(String(b.key));
+      return (order || a.index - b.index) * sign;
+    })
+    .map(entry => entry.tx);
+}
+
+// Running total of the filtered set in date order, keyed by transaction id.
+// `valueOf` gives each transaction's amount, e.g. converted to the base currency.
+export function runningTotals(transactions, valueOf = tx => tx.amount) {
+  const totals = {};
+  let sum = 0;
+  for (const tx of sortTransactions({ accounts: [], categories: [] }, transactions, { field: 'date', dir: 'asc' })) {
+    sum += valueOf(tx);
+    totals[tx.id] = sum;
+  }
+  return totals;
+}
+
+export function summarize(transactions, valueOf = tx => tx.amount) {
+  return transactions.reduce((s, tx) => {
+    const amount = valueOf(tx);
+    return amount >= 0
+      ? { ...s, count: s.count + 1, inflow: s.inflow + amount, net: s.net + amount }
+      : { ...s, count: s.count + 1, outflow: s.outflow + amount, net: s.net + amount };
+  }, { count: 0, inflow: 0, outflow: 0, net: 0 });
+}
@@ -0,0 +1,158 @@
+// --- Formatting and id helpers shared across views ---
+// Number and date display follow the format settings for this device: a locale
+// (the browser's by default), where the currency symbol goes, the decimal
+// separator and a date pattern. "auto" leaves a choice to the locale.
+
+import { dayToDate, localDay, toDayKey } from './dates.js';
+
+export const DEFAULT_FORMAT_SETTINGS = {
+  locale: '',
+  symbolPosition: 'auto',
+  decimalSeparator: 'auto',
+  dateFormat: 'auto'
+};
+
+export const DATE_PATTERNS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY'];
+
+let settings = DEFAULT_FORMAT_SETTINGS;
+const currencyFormats = new Map();
+let dateFormat = null;
+let timeFormat = null;
+let localeDecimal = null;
+
+export function formatSettings() {
+  return settings;
+}
+
+export function setFormatSettings(next) {
+  settings = { ...DEFAULT_FORMAT_SETTINGS, ...next };
+  currencyFormats.clear();
+  dateFormat = null;
+  timeFormat = null;
+  localeDecimal = null;
+}
+
+function locale() {
+  return settings.locale || undefined;
+}
+
+// The decimal separator chosen in settings, or else the one the locale uses
+function preferredDecimal() {
+  if (settings.decimalSeparator !== 'auto') return settings.decimalSeparator;
+  localeDecimal ??= new Intl.NumberFormat(locale()).formatToParts(1.5).find(p => p.type === 'decimal')?.value || '.';
+  return localeDecimal;
+}
+
+// `currency` is an ISO 4217 code; amounts in an unknown code fall back to "CODE 1.00"
+function currencyFormat(currency) {
+  let entry = currencyFormats.get(currency);
+  if (!entry) {
+    try {
+      entry = { format: new Intl.NumberFormat(locale(), { style: 'currency', currency }) };
+    } catch {
+      entry = { format: new Intl.NumberFormat(locale(), { minimumFractionDigits: 2, maximumFractionDigits: 2 }), code: currency };
+    }
+    currencyFormats.set(currency, entry);
+  }
+  return entry;
+}
+
+export function formatCurrency(amount, currency = 'USD') {
+  const value = Number(amount) || 0;
+  const { format, code } = currencyFormat(currency);
+  const { symbolPosition, decimalSeparator } = settings;
+  if (!code && symbolPosition === 'auto' && decimalSeparator === 'auto') return format.format(value);
+
+  // Rebuild from the locale's parts with the chosen symbol placement and separator
+  const parts = format.formatToParts(value);
+  const decimal = decimalSeparator === 'auto' ? null : decimalSeparator;
+  let symbol = code || '';
+  let sign = '';
+  let number = '';
+  for (const part of parts) {
+    if (part.type === 'currency') symbol = part.value;
+    else if (part.type === 'minusSign') sign = part.value;
+    else if (part.type === 'decimal') number += decimal ?? part.value;
+    else if (part.type === 'group') number += part.value === decimal ? (decimal === ',' ? '.' : ',') : part.value;
+    else if (part.type === 'integer' || part.type === 'fraction') number += part.value;
+  }
+  const symbolFirst = parts.findIndex(p => p.type === 'currency') < parts.findIndex(p => p.type === 'integer');
+  const before = symbolPosition === 'auto' ? code !== undefined || symbolFirst : symbolPosition === 'before';
+  if (!before) return `${sign}${number}\u00a0${symbol}`;
+  return `${sign}${symbol}${/\p{L}$/u.test(symbol) ? '\u00a0' : ''}${number}`;
+}
+
+// Short amounts for chart axes, e.g. "$25K"
+export function formatCompact(amount, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat(locale(), { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 })
+      .format(Number(amount) || 0);
+  } catch {
+    return formatCurrency(amount, currency);
+  }
+}
+
+// A plain number for an input's value, written with the chosen decimal separator
+// and no grouping so it reads back the same through `parseAmount`
+export function formatNumber(value, maximumFractionDigits = 2) {
+  const text = Number(value).toLocaleString(locale(), { maximumFractionDigits, useGrouping: false });
+  return text.replace(/[.,]/, preferredDecimal());
+}
+
+// A stored date (a `YYYY-MM-DD` day, or an older timestamp) in the chosen pattern
+export function formatDate(value) {
+  const day = toDayKey(value);
+  if (!day) return '';
+  if (DATE_PATTERNS.includes(settings.dateFormat)) {
+    const [year, month, date] = day.split('-');
+    return settings.dateFormat.replace('YYYY', year).replace('MM', month).replace('DD', date);
+  }
+  dateFormat ??= new Intl.DateTimeFormat(locale(), { year: 'numeric', month: '2-digit', day: '2-digit' });
+  return dateFormat.format(dayToDate(day));
+}
+
+// A moment (an ISO timestamp, such as when a backup was taken) as its local day
+// in the chosen pattern and the locale's short time
+export function formatDateTime(value) {
+  const date = new Date(value);
+  if (!value || isNaN(date)) return '';
+  timeFormat ??= new Intl.DateTimeFormat(locale(), { timeStyle: 'short' });
+  return `${formatDate(localDay(date))} ${timeFormat.format(date)}`;
+}
+
+// Which separator in a typed number is the decimal point. With both present the
+// last one is; a separator that repeats is grouping; a single one followed by
+// exactly three digits ("1,234" or "1.234") is read the way the user writes.
+function guessDecimal(str) {
+  const dot = str.lastIndexOf('.');
+  const comma = str.lastIndexOf(',');
+  if (dot >= 0 && comma >= 0) return dot > comma ? '.' : ',';
+  if (dot < 0 && comma < 0) return '.';
+  const sep = dot >= 0 ? '.' : ',';
+  if (str.indexOf(sep) !== str.lastIndexOf(sep)) return sep === '.' ? ',' : '.';
+  if (str.length - str.lastIndexOf(sep) - 1 === 3) return preferredDecimal();
+  return sep;
+}
+
+// Reads an amount typed or imported in any common form: "1,234.56",
+// "1.234,56", "1 234,56", "$12", "-12", "(12.00)" and "12.00-" all become
+// numbers. Pass `decimalSeparator` for sources with a fixed format.
+export function parseAmount(value, decimalSeparator) {
+  if (typeof value === 'number') return value;
+  if (value == null) return NaN;
+  let str = String(value).trim().replace(/−/g, '-');
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) { negative = true; str = str.slice(1, -1); }
+  if (str.endsWith('-')) { negative = true; str = str.slice(0, -1); }
+  if (/^[^0-9.,]*-/.test(str)) negative = true;
+  str = str.replace(/[^0-9.,]/g, '');
+  if (!/\d/.test(str)) return NaN;
+  const decimal = decimalSeparator === '.' || decimalSeparator === ',' ? decimalSeparator : guessDecimal(str);
+  const num = Number(str.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.'));
+  if (isNaN(num)) return NaN;
+  return negative ? -Math.abs(num) : num;
+}
+
+export function genId() {
+  return '_' + Math.random().toString(36).slice(2, 10);
+}
@@ -0,0 +1,48 @@
+// Undo/redo history for the dataset.
+// `past` and `future` hold earlier and undone versions of the data, each with
+// a short label describing the change that led away from it. Updates are
+// immutable, so snapshots share everything they didn't change.
+
+const LIMIT = 100;
+
+export function startHistory(present) {
+  return { past: [], present, future: [] };
+}
+
+// Records `next` as the new present; an update that changes nothing is ignored
+export function record(history, next, label = 'change') {
+  if (next === history.present) return history;
+  return {
+    past: [...history.past, { data: history.present, label }].slice(-LIMIT),
+    present: next,
+    future: []
+  };
+}
+
+export function undo(history) {
+  if (history.past.length === 0) return history;
+  const previous = history.past[history.past.length - 1];
+  return {
+    past: history.past.slice(0, -1),
+    present: previous.data,
+    future: [{ data: history.present, label: previous.label }, ...history.future]
+  };
+}
+
+export function redo(history) {
+  if (history.future.length === 0) return history;
+  const [next, ...future] = history.future;
+  return {
+    past: [...history.past, { data: history.present, label: next.label }],
+    present: next.data,
+    future
+  };
+}
+
+export function undoLabel(history) {
+  return history.past[history.past.length - 1]?.label || null;
+}
+
+export function redoLabel(history) {
+  return history.future[0]?.label || null;
+}
@@ -0,0 +1,200 @@
+// Bank statement importers for CSV, OFX/QFX and QIF files.
+// Every parser produces statement rows of the form
+// `{ date, payee, memo, amount, importId }`, with `date` as a `YYYY-MM-DD` day
+// (or null when it could not be read) so the preview can flag bad rows.
+
+import { genId, parseAmount } from './format.js';
+import { CLEARED } from './ledger.js';
+
+export const DATE_FORMATS = {
+  YMD: 'YYYY-MM-DD',
+  MDY: 'MM/DD/YYYY',
+  DMY: 'DD/MM/YYYY'
+};
+
+export function detectStatementFormat(fileName, text = '') {
+  const ext = fileName.toLowerCase().split('.').pop();
+  if (ext === 'csv') return 'csv';
+  if (ext === 'ofx' || ext === 'qfx') return 'ofx';
+  if (ext === 'qif') return 'qif';
+  const head = text.trimStart().slice(0, 200);
+  if (/^OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+  if (/^!Type:/i.test(head)) return 'qif';
+  return null;
+}
+
+// Reads a statement date in the given order of day, month and year.
+// Compact OFX dates (20240115120000) are always year-first.
+export function parseStatementDate(value, format = 'MDY') {
+  if (!value) return null;
+  const str = String(value).trim();
+  let year, month, day;
+  const compact = str.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (compact) {
+    [year, month, day] = compact.slice(1).map(Number);
+  } else {
+    const parts = str.match(/\d+/g);
+    if (!parts || parts.length < 3) return null;
+    const nums = parts.slice(0, 3).map(Number);
+    if (parts[0].length === 4 || format === 'YMD') [year, month, day] = nums;
+    else if (format === 'DMY') [day, month, year] = nums;
+    else [month, day, year] = nums;
+    if (year < 100) year += year < 70 ? 2000 : 1900;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (isNaN(date) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// RFC 4180-style CSV: quoted fields, escaped quotes and newlines inside quotes
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const delimiter = guessDelimiter(text);
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(cell => cell.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(cell => cell.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+function guessDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Best-effort column mapping from a CSV header row
+export function guessCSVMapping(header) {
+  const find = pattern => header.findIndex(h => pattern.test(h));
+  const debit = find(/debit|withdrawal|paid out/i);
+  const credit = find(/credit|deposit|paid in/i);
+  const amount = find(/amount|value/i);
+  return {
+    hasHeader: true,
+    dateFormat: 'MDY',
+    date: Math.max(0, find(/date/i)),
+    payee: find(/payee|description|name|merchant|details/i),
+    memo: find(/memo|note|reference/i),
+    amountMode: amount === -1 && debit !== -1 && credit !== -1 ? 'split' : 'single',
+    amount,
+    debit,
+    credit,
+    invert: false
+  };
+}
+
+// Applies a column mapping to parsed CSV rows
+export function mapCSVRows(rows, mapping) {
+  const body = mapping.hasHeader ? rows.slice(1) : rows;
+  const cell = (row, index) => (index >= 0 ? (row[index] || '').trim() : '');
+  return body.map(row => {
+    let amount;
+    if (mapping.amountMode === 'split') {
+      const debit = parseAmount(cell(row, mapping.debit));
+      const credit = parseAmount(cell(row, mapping.credit));
+      amount = (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+      if (isNaN(debit) && isNaN(credit)) amount = NaN;
+    } else {
+      amount = parseAmount(cell(row, mapping.amount));
+    }
+    if (mapping.invert && !isNaN(amount)) amount = -amount;
+    return {
+      date: parseStatementDate(cell(row, mapping.date), mapping.dateFormat),
+      payee: cell(row, mapping.payee),
+      memo: cell(row, mapping.memo),
+      amount,
+      importId: null
+    };
+  });
+}
+
+// OFX 1.x is SGML and often leaves tags unclosed, so read each <STMTTRN>
+// block tag by tag instead of parsing it as XML
+export function parseOFX(text) {
+  return text.split(/<STMTTRN>/i).slice(1).map(chunk => {
+    const block = chunk.split(/<\/STMTTRN>/i)[0];
+    const fields = {};
+    for (const match of block.matchAll(/<(\w+)>([^<\r\n]*)/g)) {
+      fields[match[1].toUpperCase()] = match[2].trim();
+    }
+    return {
+      date: parseStatementDate(fields.DTPOSTED, 'YMD'),
+      payee: decodeEntities(fields.NAME || fields.PAYEE || ''),
+      memo: decodeEntities(fields.MEMO || ''),
+      amount: parseAmount(fields.TRNAMT, '.'),
+      importId: fields.FITID || null
+    };
+  });
+}
+
+function decodeEntities(str) {
+  return str.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'");
+}
+
+// QIF records are lines prefixed with a field code and terminated by "^"
+export function parseQIF(text, dateFormat = 'MDY') {
+  const rows = [];
+  let current = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('!')) continue;
+    const code = line[0];
+    const value = line.slice(1).trim();
+    if (code === '^') {
+      if (Object.keys(current).length > 0) rows.push(current);
+      current = {};
+    } else if (code === 'D') current.date = value;
+    else if (code === 'T' || code === 'U') current.amount = value;
+    else if (code === 'P') current.payee = value;
+    else if (code === 'M') current.memo = value;
+    else if (code === 'N') current.number = value;
+  }
+  if (Object.keys(current).length > 0) rows.push(current);
+  return rows.map(r => ({
+    date: parseStatementDate(r.date, dateFormat),
+    payee: r.payee || '',
+    memo: r.memo || '',
+    amount: parseAmount(r.amount),
+    importId: null
+  }));
+}
+
+export function isValidStatementRow(row) {
+  return !!row.date && !isNaN(row.amount);
+}
+
+// Turns statement rows into transactions for one account. Anything on a bank
+// statement has already cleared.
+export function statementRowsToTransactions(rows, accountId, categoryId) {
+  return rows.filter(isValidStatementRow).map(row => ({
+    id: genId(),
+    accountId,
+    categoryId: categoryId || null,
+    amount: Math.round(row.amount * 100) / 100,
+    payee: row.payee,
+    memo: row.memo,
+    date: row.date,
+    cleared: CLEARED,
+    ...(row.importId ? { importId: row.importId } : {})
+  }));
+}
@@ -0,0 +1,178 @@
+// Ledger helpers.
+// Account balances are never stored: each account gets a starting-balance
+// transaction and its balance is the sum of its transactions. The working
+// balance leaves out pending (future-dated) ones until their day arrives; the
+// booked balance counts everything.
+// Each transaction also has a cleared status: uncleared until it shows up on a
+// bank statement, cleared once it has, and reconciled (locked) after the
+// account has been reconciled against a statement.
+
+import { genId } from './format.js';
+import { isTransfer } from './transactions.js';
+import { accountBalanceOf, settledBalanceOf, transactionsForAccount } from './selectors.js';
+import { conversionFactors } from './currency.js';
+import { localDay, toDayKey } from './dates.js';
+
+// Cent tolerance used when comparing balances
+const EPSILON = 0.005;
+
+export const STARTING_BALANCE = 'starting-balance';
+export const ADJUSTMENT = 'adjustment';
+
+export const UNCLEARED = 'uncleared';
+export const CLEARED = 'cleared';
+export const RECONCILED = 'reconciled';
+
+// Starting balances, adjustments and transfers move money without belonging to a category
+export function isUncategorized(tx) {
+  return tx.type === STARTING_BALANCE || tx.type === ADJUSTMENT || isTransfer(tx);
+}
+
+// Working balance, without pending transactions
+export function accountBalance(transactions, accountId) {
+  return settledBalanceOf(transactions, accountId);
+}
+
+// Balance with every transaction, pending ones included
+export function bookedBalance(transactions, accountId) {
+  return accountBalanceOf(transactions, accountId);
+}
+
+// Map of accountId -> working balance
+export function accountBalances(data) {
+  return Object.fromEntries(data.accounts.map(a => [a.id, settledBalanceOf(data.transactions, a.id)]));
+}
+
+export function clearedStatus(tx) {
+  return tx.cleared || UNCLEARED;
+}
+
+export function isReconciled(tx) {
+  return tx.cleared === RECONCILED;
+}
+
+// Reconciled transactions are locked. An edit or delete that would touch one,
+// including the other leg of a transfer, is refused unless the caller passes
+// `unlock` once the user has confirmed it.
+export function isLocked(transactions, tx, unlock = false) {
+  if (unlock) return false;
+  const rows = isTransfer(tx) ? transactions.filter(t => t.transferId === tx.transferId) : [tx];
+  return rows.some(isReconciled);
+}
+
+// A future-dated transaction stays pending until its day arrives
+export function isPending(tx, today = localDay()) {
+  return toDayKey(tx.date) > today;
+}
+
+// Sum of an account's pending transactions
+export function pendingBalance(transactions, accountId, today = localDay()) {
+  return transactionsForAccount(transactions, accountId)
+    .filter(tx => isPending(tx, today))
+    .reduce((s, t) => s + t.amount, 0);
+}
+
+// Balance of the cleared and reconciled transactions only. Pending ones are
+// left out, like they are from the working balance, so cleared and uncleared
+// add up to it.
+export function clearedBalance(transactions, accountId, today = localDay()) {
+  return transactionsForAccount(transactions, accountId)
+    .filter(tx => clearedStatus(tx) !== UNCLEARED && !isPending(tx, today))
+    .reduce((s, t) => s + t.amount, 0);
+}
+
+// Net worth in the base currency, from working balances; accounts in a
+// currency without a rate are left out
+export function totalBalance(data) {
+  const factors = conversionFactors(data);
+  return data.accounts.reduce((s, a) => s + settledBalanceOf(data.transactions, a.id) * (factors.get(a.id) ?? 0), 0);
+}
+
+export function startingBalanceTransaction(accountId, amount, date = localDay()) {
+  return {
+    id: genId(),
+    type: STARTING_BALANCE,
+    accountId,
+    categoryId: null,
+    amount,
+    memo: 'Starting Balance',
+    date,
+    cleared: CLEARED
+  };
+}
+
+// Accounts whose stored `balance` disagrees with their transaction history.
+// Older releases stored the balance of every transaction, dated or not.
+export function findBalanceMismatches(data) {
+  const balances = Object.fromEntries(data.accounts.map(a => [a.id, bookedBalance(data.transactions, a.id)]));
+  return data.accounts
+    .filter(a => typeof a.balance === 'number')
+    .map(a => ({
+      accountId: a.id,
+      name: a.name,
+      currency: a.currency,
+      storedBalance: a.balance,
+      ledgerBalance: balances[a.id],
+      difference: a.balance - balances[a.id]
+    }))
+    .filter(m => Math.abs(m.difference) >= EPSILON);
+}
+
+export function stripStoredBalances(data) {
+  if (!data.accounts.some(a => 'balance' in a)) return data;
+  return {
+    ...data,
+    accounts: data.accounts.map(a => {
+      const rest = { ...a };
+      delete rest.balance;
+      return rest;
+    })
+  };
+}
+
+// Brings each mismatched account in line with its stored balance. The
+// difference becomes the starting balance when the account has none yet,
+// otherwise it is recorded as a separate adjustment transaction.
+export function reconcileStoredBalances(data, mismatches = findBalanceMismatches(data)) {
+  const firstDate = data.transactions.map(tx => tx.date).sort()[0] || localDay();
+  const added = mismatches.map(m => {
+    const hasStart = data.transactions.some(tx => tx.accountId === m.accountId && tx.type === STARTING_BALANCE);
+    if (!hasStart) return startingBalanceTransaction(m.accountId, m.difference, firstDate);
+    return {
+      id: genId(),
+      type: ADJUSTMENT,
+      accountId: m.accountId,
+      categoryId: null,
+      amount: m.difference,
+      memo: 'Balance Adjustment',
+      date: localDay()
+    };
+  });
+  return stripStoredBalances({ ...data, transactions: [...added, ...data.transactions] });
+}
+
+// Locks in a reconciliation: the ticked transactions become reconciled and any
+// gap between the statement and the cleared balance is booked as an adjustment.
+export function reconcileAccount(data, accountId, clearedIds, statementBalance) {
+  const ids = new Set(clearedIds);
+  const transactions = data.transactions.map(tx =>
+    ids.has(tx.id) && tx.accountId === accountId ? { ...tx, cleared: RECONCILED } : tx
+  );
+  const reconciled = transactions
+    .filter(tx => tx.accountId === accountId && isReconciled(tx))
+    .reduce((s, t) => s + t.amount, 0);
+  const difference = statementBalance - reconciled;
+  if (Math.abs(difference) >= EPSILON) {
+    transactions.push({
+      id: genId(),
+      type: ADJUSTMENT,
+      accountId,
+      categoryId: null,
+      amount: Math.round(difference * 100) / 100,
+      memo: 'Reconciliation Balance Adjustment',
+      date: localDay(),
+      cleared: RECONCILED
+    });
+  }
+  return { ...data, transactions };
+}
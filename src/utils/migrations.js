@@ -0,0 +1,108 @@
+// Schema versions and ordered migrations for the saved dataset.
+// Every save carries `schemaVersion`. Loading runs each migration whose
+// version is above the saved one, in order, so a save from any older release
+// is brought up to date in one pass. Add new migrations to the end of the
+// list; never edit one that has shipped.
+
+import { migrateCategoryBudgets } from './budget.js';
+import { reconcileStoredBalances } from './ledger.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+import { isDayKey, toDayKey } from './dates.js';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Per-month category budgets',
+    up: migrateCategoryBudgets
+  },
+  {
+    version: 2,
+    description: 'Account balances derived from the ledger',
+    up: data => reconcileStoredBalances(data)
+  },
+  {
+    version: 3,
+    description: 'Scheduled transactions, payees and rules',
+    up: data => ({
+      ...data,
+      scheduled: data.scheduled || [],
+      payees: data.payees || [],
+      rules: data.rules || []
+    })
+  },
+  {
+    version: 4,
+    description: 'Account currencies and exchange rates',
+    // Older releases only knew dollars
+    up: data => {
+      const base = data.baseCurrency || DEFAULT_CURRENCY;
+      return {
+        ...data,
+        baseCurrency: base,
+        exchangeRates: data.exchangeRates || {},
+        accounts: data.accounts.map(a => (a.currency ? a : { ...a, currency: base }))
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Transaction dates as local calendar days',
+    // Older releases stored UTC timestamps, which put evening entries on the next day
+    up: data => ({
+      ...data,
+      transactions: data.transactions.map(tx => (isDayKey(tx.date) ? tx : { ...tx, date: toDayKey(tx.date) || tx.date }))
+    })
+  },
+  {
+    version: 6,
+    description: 'Category groups',
+    up: data => ({ ...data, categoryGroups: data.categoryGroups || [] })
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function emptyDataset() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    baseCurrency: DEFAULT_CURRENCY,
+    exchangeRates: {},
+    accounts: [],
+    categoryGroups: [],
+    categories: [],
+    transactions: [],
+    scheduled: [],
+    payees: [],
+    rules: []
+  };
+}
+
+export function schemaVersionOf(data) {
+  return Number(data.schemaVersion) || 0;
+}
+
+// Throws for data written by a newer release rather than guessing at fields it
+// doesn't know. Field-level problems are left to validation.js.
+export function checkDataset(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This doesn\'t look like budget data');
+  }
+  const version = schemaVersionOf(data);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`This data was saved by a newer version of the app (schema ${version}, this version reads up to ${SCHEMA_VERSION})`);
+  }
+}
+
+// Brings `data` up to the current schema
+export function migrate(data) {
+  checkDataset(data);
+  if (!Array.isArray(data.accounts) || !Array.isArray(data.transactions)) {
+    throw new Error('This doesn\'t look like budget data');
+  }
+  const from = schemaVersionOf(data);
+  if (!Array.isArray(data.categories)) data = { ...data, categories: [] };
+  const migrated = MIGRATIONS
+    .filter(m => m.version > from)
+    .reduce((d, m) => m.up(d), data);
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
@@ -0,0 +1,100 @@
+// Payees and auto-categorization rules.
+// Transactions point at a payee through `payeeId`; each payee remembers the
+// category and account it was last used with. Rules are user-defined
+// `{ id, field, operator, value, categoryId }` entries such as
+// "memo contains SHELL -> Transportation".
+
+import { genId } from './format.js';
+import { isSplit, isTransfer } from './transactions.js';
+import { byId } from './selectors.js';
+import { isReconciled } from './ledger.js';
+
+export const RULE_FIELDS = { any: 'Payee or memo', payee: 'Payee', memo: 'Memo' };
+export const RULE_OPERATORS = { contains: 'contains', equals: 'is', startsWith: 'starts with' };
+
+function normalize(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+export function findPayeeByName(payees, name) {
+  const key = normalize(name);
+  if (!key) return null;
+  return (payees || []).find(p => normalize(p.name) === key) || null;
+}
+
+export function payeeName(data, payeeId) {
+  return byId(data.payees).get(payeeId)?.name || '';
+}
+
+// Payee and memo as one string, for display and fuzzy matching. Incoming
+// transactions still carry a plain `payee` name instead of a `payeeId`.
+export function describeTransaction(data, tx) {
+  const name = 'payee' in tx ? tx.payee : payeeName(data, tx.payeeId);
+  return [name, tx.memo].filter(Boolean).join(' – ');
+}
+
+export function ruleMatches(rule, { payee, memo }) {
+  const value = normalize(rule.value);
+  if (!value) return false;
+  const texts = rule.field === 'payee' ? [payee] : rule.field === 'memo' ? [memo] : [payee, memo];
+  return texts.map(normalize).some(text => {
+    if (rule.operator === 'equals') return text === value;
+    if (rule.operator === 'startsWith') return text.startsWith(value);
+    return text.includes(value);
+  });
+}
+
+// Category for a payee/memo pair: the first matching rule wins, then whatever
+// the payee was last filed under
+export function suggestCategory(data, { payee, memo }) {
+  const rule = (data.rules || []).find(r => ruleMatches(r, { payee, memo }));
+  if (rule) return rule.categoryId;
+  return findPayeeByName(data.payees, payee)?.lastCategoryId || null;
+}
+
+// Form fields to pre-fill while a new transaction is typed: the suggested
+// category and the account the payee was last used with
+export function payeeDefaults(data, { payee, memo }) {
+  const defaults = {};
+  const categoryId = suggestCategory(data, { payee, memo });
+  if (categoryId && data.categories.some(c => c.id === categoryId)) defaults.categoryId = categoryId;
+  const accountId = findPayeeByName(data.payees, payee)?.lastAccountId;
+  if (accountId && data.accounts.some(a => a.id === accountId)) defaults.accountId = accountId;
+  return defaults;
+}
+
+// Replaces the `payee` name on incoming transactions with a `payeeId`,
+// creating payees that don't exist yet and updating each payee's memory of
+// its last category and account. Uncategorized transactions are filed by
+// rules on the way in, except reconciled ones, which are locked.
+export function resolvePayees(data, transactions) {
+  const payees = [...(data.payees || [])];
+  const resolved = transactions.map(tx => {
+    if (!('payee' in tx)) return tx;
+    const { payee, ...rest } = tx;
+    const next = { ...rest };
+    if (!next.categoryId && !isSplit(next) && !isTransfer(next) && !next.type && !isReconciled(next)) {
+      const categoryId = suggestCategory({ ...data, payees }, { payee, memo: next.memo });
+      if (categoryId) next.categoryId = categoryId;
+    }
+    const name = String(payee || '').trim();
+    if (!name) {
+      delete next.payeeId;
+      return next;
+    }
+    let entry = findPayeeByName(payees, name);
+    if (!entry) {
+      entry = { id: genId(), name };
+      payees.push(entry);
+    }
+    const index = payees.indexOf(entry);
+    payees[index] = {
+      ...entry,
+      lastAccountId: next.accountId,
+      ...(next.categoryId && !isSplit(next) ? { lastCategoryId: next.categoryId } : {})
+    };
+    next.payeeId = entry.id;
+    return next;
+  });
+  return { payees, transactions: resolved };
+}
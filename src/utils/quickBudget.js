@@ -0,0 +1,68 @@
+// Budgeting several categories at once.
+// A quick-budget strategy proposes a new budgeted amount for every category in
+// a month; the view lets the user untick any before they're applied. Moving
+// money takes an amount out of one category's budget for the month and adds it
+// to another's, which is how overspending gets covered.
+
+import { activityInMonth, budgetedInMonth, shiftMonth } from './budget.js';
+import { targetStatus } from './targets.js';
+
+export const QUICK_BUDGETS = {
+  'last-month': 'Spent last month',
+  'average-3': 'Average spent, last 3 months',
+  'average-6': 'Average spent, last 6 months',
+  'average-12': 'Average spent, last 12 months',
+  targets: 'Fund targets',
+  zero: 'Reset to zero'
+};
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Average net spending over the `count` months before `month`; refunds offset
+// spending and a month with more money in than out counts as nothing spent
+function averageSpent(data, catId, month, count) {
+  let spent = 0;
+  for (let i = 1; i <= count; i++) spent += Math.max(0, -activityInMonth(data, catId, shiftMonth(month, -i)));
+  return spent / count;
+}
+
+function proposedAmount(data, cat, month, strategy) {
+  const budgeted = budgetedInMonth(cat, month);
+  if (strategy === 'zero') return 0;
+  if (strategy === 'targets') return budgeted + (targetStatus(data, cat, month)?.needed || 0);
+  if (strategy === 'last-month') return averageSpent(data, cat.id, month, 1);
+  return averageSpent(data, cat.id, month, Number(strategy.split('-')[1]));
+}
+
+// `[{ categoryId, name, current, proposed }]` for every category in `month`
+export function quickBudgetPlan(data, month, strategy) {
+  return data.categories.map(cat => ({
+    categoryId: cat.id,
+    name: cat.name,
+    current: budgetedInMonth(cat, month),
+    proposed: round(proposedAmount(data, cat, month, strategy))
+  }));
+}
+
+// Sets the budgeted amount for `month` from `{ categoryId: amount }`
+export function applyBudgets(data, month, amounts) {
+  return {
+    ...data,
+    categories: data.categories.map(c => (c.id in amounts
+      ? { ...c, budgets: { ...c.budgets, [month]: amounts[c.id] } }
+      : c))
+  };
+}
+
+// Moves `amount` of `month`'s budget from one category to another
+export function moveMoney(data, fromId, toId, month, amount) {
+  if (fromId === toId || !(amount > 0)) return data;
+  const amounts = {};
+  for (const cat of data.categories) {
+    if (cat.id === fromId) amounts[cat.id] = round(budgetedInMonth(cat, month) - amount);
+    if (cat.id === toId) amounts[cat.id] = round(budgetedInMonth(cat, month) + amount);
+  }
+  return applyBudgets(data, month, amounts);
+}
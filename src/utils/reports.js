@@ -0,0 +1,140 @@
+// Month-by-month figures for the Reports view.
+// Every report covers an inclusive range of months (`YYYY-MM`) and is in the
+// base currency. Starting balances, adjustments and transfers aren't income or
+// spending, so only categorized transactions count towards those reports; net
+// worth is rebuilt from every transaction. Pending (future-dated) transactions
+// are left out everywhere, as they are in budget totals and balances.
+
+import { activityInMonth, balanceAtEndOf, budgetedInMonth, currentMonth, monthKey, shiftMonth } from './budget.js';
+import { groupedCategories } from './categories.js';
+import { conversionFactors } from './currency.js';
+import { isPending, isUncategorized } from './ledger.js';
+import { localDay } from './dates.js';
+import { transactionsInMonth } from './selectors.js';
+import { categoryLines } from './transactions.js';
+
+export const RANGE_PRESETS = {
+  3: 'Last 3 months',
+  6: 'Last 6 months',
+  12: 'Last 12 months',
+  ytd: 'This year',
+  all: 'All time'
+};
+
+// The `{ from, to }` months for a preset, ending with the current month
+export function presetRange(data, preset, today = currentMonth()) {
+  if (preset === 'ytd') return { from: `${today.slice(0, 4)}-01`, to: today };
+  if (preset === 'all') return { from: firstMonth(data) || today, to: today };
+  return { from: shiftMonth(today, 1 - Number(preset)), to: today };
+}
+
+export function firstMonth(data) {
+  let first = null;
+  for (const tx of data.transactions) {
+    const month = monthKey(tx.date);
+    if (!first || month < first) first = month;
+  }
+  return first;
+}
+
+// Every month from `from` to `to`, inclusive
+export function monthsBetween(from, to) {
+  const months = [];
+  for (let m = from; m <= to; m = shiftMonth(m, 1)) months.push(m);
+  return months;
+}
+
+// Spending per category per month: `{ categoryId: [amount per month] }`,
+// as positive numbers. Only outflows count; refunds aren't netted off.
+export function spendingByCategory(data, months) {
+  const factors = conversionFactors(data);
+  const today = localDay();
+  const series = {};
+  months.forEach((month, i) => {
+    for (const tx of transactionsInMonth(data.transactions, month)) {
+      if (isUncategorized(tx) || isPending(tx, today) || tx.amount >= 0) continue;
+      const factor = factors.get(tx.accountId) ?? 0;
+      for (const line of categoryLines(tx)) {
+        if (!line.categoryId || line.amount >= 0) continue;
+        series[line.categoryId] ??= months.map(() => 0);
+        series[line.categoryId][i] -= line.amount * factor;
+      }
+    }
+  });
+  return series;
+}
+
+// Money in and money out per month, both as positive numbers
+export function incomeAndExpense(data, months) {
+  const factors = conversionFactors(data);
+  const today = localDay();
+  return months.map(month => {
+    let income = 0;
+    let expense = 0;
+    for (const tx of transactionsInMonth(data.transactions, month)) {
+      if (isUncategorized(tx) || isPending(tx, today)) continue;
+      const amount = tx.amount * (factors.get(tx.accountId) ?? 0);
+      if (amount > 0) income += amount;
+      else expense -= amount;
+    }
+    return { month, income, expense };
+  });
+}
+
+// Net worth at the end of each month
+export function netWorthByMonth(data, months) {
+  return months.map(month => ({ month, value: balanceAtEndOf(data, month) }));
+}
+
+// Where one category's money went in the range: payees by amount spent
+export function categoryPayees(data, categoryId, months) {
+  const factors = conversionFactors(data);
+  const today = localDay();
+  const byPayee = new Map();
+  for (const month of months) {
+    for (const tx of transactionsInMonth(data.transactions, month)) {
+      if (isUncategorized(tx) || isPending(tx, today)) continue;
+      for (const line of categoryLines(tx)) {
+        if (line.categoryId !== categoryId || line.amount >= 0) continue;
+        const key = tx.payeeId || '';
+        byPayee.set(key, (byPayee.get(key) || 0) - line.amount * (factors.get(tx.accountId) ?? 0));
+      }
+    }
+  }
+  return [...byPayee]
+    .map(([payeeId, spent]) => ({ payeeId, spent }))
+    .filter(p => p.spent > 0)
+    .sort((a, b) => b.spent - a.spent);
+}
+
+// Budgeted against actual per category, and per group as subtotals. Actual is
+// the category's net activity, so refunds offset spending, shown as a positive
+// number when money went out. `percent` is how far actual is over (positive)
+// or under (negative) budget, or null when nothing was budgeted.
+export function budgetVariance(data, months) {
+  return groupedCategories(data).map(({ group, categories }) => {
+    const rows = categories.map(cat => varianceRow(
+      { id: cat.id, name: cat.name },
+      months.reduce((s, m) => s + budgetedInMonth(cat, m), 0),
+      -months.reduce((s, m) => s + activityInMonth(data, cat.id, m), 0)
+    ));
+    return {
+      ...varianceRow(
+        { id: group.id, name: group.name, hidden: !!group.hidden },
+        rows.reduce((s, r) => s + r.budgeted, 0),
+        rows.reduce((s, r) => s + r.actual, 0)
+      ),
+      categories: rows
+    };
+  }).filter(group => group.categories.length > 0);
+}
+
+function varianceRow(row, budgeted, actual) {
+  return {
+    ...row,
+    budgeted,
+    actual,
+    difference: budgeted - actual,
+    percent: budgeted > 0 ? ((actual - budgeted) / budgeted) * 100 : null
+  };
+}
@@ -0,0 +1,112 @@
+// Scheduled and recurring transactions.
+// A schedule is a transaction template plus a repeat rule:
+// `{ id, accountId, categoryId, amount, memo, frequency, interval, unit,
+//    startDate, endDate, posted }`, where dates are `YYYY-MM-DD` and `posted`
+// counts the occurrences already turned into transactions.
+
+import { genId } from './format.js';
+import { localDay } from './dates.js';
+
+export const FREQUENCIES = {
+  daily: { label: 'Daily', unit: 'day', interval: 1 },
+  weekly: { label: 'Weekly', unit: 'week', interval: 1 },
+  biweekly: { label: 'Every 2 weeks', unit: 'week', interval: 2 },
+  monthly: { label: 'Monthly', unit: 'month', interval: 1 },
+  yearly: { label: 'Yearly', unit: 'year', interval: 1 },
+  custom: { label: 'Custom' }
+};
+
+export const UNITS = ['day', 'week', 'month', 'year'];
+
+// Stop runaway posting if a schedule has been dormant for a very long time
+const MAX_POSTS_PER_LOAD = 1000;
+
+export function todayKey() {
+  return localDay();
+}
+
+export function addDays(dateKey, days) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// Adds months, clamping to the end of shorter months so a schedule that
+// starts on the 31st stays on the last day of the month
+function addMonths(dateKey, months) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+function repeatRule(schedule) {
+  const preset = FREQUENCIES[schedule.frequency];
+  if (preset && preset.unit) return preset;
+  return { unit: schedule.unit || 'month', interval: Math.max(1, Number(schedule.interval) || 1) };
+}
+
+// Date of the k-th occurrence (0-based), always measured from the start date
+export function occurrenceDate(schedule, k) {
+  const { unit, interval } = repeatRule(schedule);
+  const steps = k * interval;
+  if (unit === 'day') return addDays(schedule.startDate, steps);
+  if (unit === 'week') return addDays(schedule.startDate, steps * 7);
+  if (unit === 'year') return addMonths(schedule.startDate, steps * 12);
+  return addMonths(schedule.startDate, steps);
+}
+
+export function nextOccurrence(schedule) {
+  const date = occurrenceDate(schedule, schedule.posted || 0);
+  if (schedule.endDate && date > schedule.endDate) return null;
+  return date;
+}
+
+export function describeFrequency(schedule) {
+  if (schedule.frequency !== 'custom') return FREQUENCIES[schedule.frequency]?.label || schedule.frequency;
+  const { unit, interval } = repeatRule(schedule);
+  return interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+}
+
+function occurrenceTransaction(schedule, date) {
+  return {
+    id: genId(),
+    accountId: schedule.accountId,
+    categoryId: schedule.categoryId,
+    amount: schedule.amount,
+    memo: schedule.memo,
+    date,
+    scheduledId: schedule.id
+  };
+}
+
+// Turns every occurrence due on or before `today` into a transaction
+export function postDueTransactions(data, today = todayKey()) {
+  if (!data.scheduled || data.scheduled.length === 0) return data;
+  const posted = [];
+  const scheduled = data.scheduled.map(schedule => {
+    let count = schedule.posted || 0;
+    let date = nextOccurrence({ ...schedule, posted: count });
+    let guard = 0;
+    while (date && date <= today && guard++ < MAX_POSTS_PER_LOAD) {
+      posted.push(occurrenceTransaction(schedule, date));
+      count++;
+      date = nextOccurrence({ ...schedule, posted: count });
+    }
+    return count === (schedule.posted || 0) ? schedule : { ...schedule, posted: count };
+  });
+  if (posted.length === 0) return data;
+  return { ...data, scheduled, transactions: [...data.transactions, ...posted] };
+}
+
+// Occurrences due within the next `days` days, soonest first
+export function upcomingOccurrences(data, days = 30, today = todayKey()) {
+  const until = addDays(today, days);
+  const upcoming = [];
+  for (const schedule of data.scheduled || []) {
+    for (let k = schedule.posted || 0; ; k++) {
+      const date = nextOccurrence({ ...schedule, posted: k });
+      if (!date || date > until) break;
+      upcoming.push({ schedule, date });
+    }
+  }
+  return upcoming.sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,189 @@
+// Memoized, indexed lookups over the dataset.
+// Every update replaces `data.transactions` (and the other lists) with a new
+// array, so indexes are cached per array in WeakMaps and rebuilt only when that
+// array changes. Views can call these selectors freely on every render.
+// Lists and account balances are in each account's own currency. Budget totals
+// (category activity, monthly totals) are converted into the base currency and
+// cached per set of conversion factors as well.
+// Future-dated (pending) transactions are left out of working balances and
+// budget totals until their day arrives, so those caches are also tied to the
+// day they were built on.
+
+import { categoryLines } from './transactions.js';
+import { conversionFactors } from './currency.js';
+import { localDay, toDayKey } from './dates.js';
+
+const transactionIndexes = new WeakMap();
+const totalsByFactors = new WeakMap();
+const settledBalances = new WeakMap();
+const idMaps = new WeakMap();
+const EMPTY = [];
+
+// Same as monthKey() for stored ISO dates; kept local to avoid a cycle with budget.js
+function monthOf(tx) {
+  return String(tx.date).slice(0, 7);
+}
+
+function push(map, key, value) {
+  const list = map.get(key);
+  if (list) list.push(value);
+  else map.set(key, [value]);
+}
+
+function add(map, key, amount) {
+  map.set(key, (map.get(key) || 0) + amount);
+}
+
+// Same test as isPending() in ledger.js, which imports this module
+function isFuture(tx, today) {
+  return toDayKey(tx.date) > today;
+}
+
+function buildIndex(transactions) {
+  const index = {
+    byId: new Map(),
+    byAccount: new Map(),
+    byMonth: new Map(),
+    byPayee: new Map(),
+    accountBalances: new Map()
+  };
+  for (const tx of transactions) {
+    index.byId.set(tx.id, tx);
+    push(index.byAccount, tx.accountId, tx);
+    push(index.byMonth, monthOf(tx), tx);
+    if (tx.payeeId) push(index.byPayee, tx.payeeId, tx);
+    add(index.accountBalances, tx.accountId, tx.amount);
+  }
+  return index;
+}
+
+// Budget totals in the base currency; `factors` maps accountId -> multiplier.
+// Transactions dated after `today` are pending and left out.
+function buildTotals(transactions, factors, today) {
+  const totals = {
+    today,
+    monthTotals: new Map(),
+    // categoryId -> month -> net activity
+    categoryActivity: new Map(),
+    // categoryId -> total outflow across all months (a negative number)
+    categoryOutflow: new Map()
+  };
+  for (const tx of transactions) {
+    if (isFuture(tx, today)) continue;
+    const month = monthOf(tx);
+    const factor = factors.get(tx.accountId) ?? 0;
+    add(totals.monthTotals, month, tx.amount * factor);
+
+    const perCategory = new Map();
+    for (const line of categoryLines(tx)) {
+      if (line.categoryId) add(perCategory, line.categoryId, line.amount * factor);
+    }
+    for (const [categoryId, amount] of perCategory) {
+      if (!totals.categoryActivity.has(categoryId)) totals.categoryActivity.set(categoryId, new Map());
+      add(totals.categoryActivity.get(categoryId), month, amount);
+      if (amount < 0) add(totals.categoryOutflow, categoryId, amount);
+    }
+  }
+  return totals;
+}
+
+export function transactionIndex(transactions) {
+  let index = transactionIndexes.get(transactions);
+  if (!index) {
+    index = buildIndex(transactions);
+    transactionIndexes.set(transactions, index);
+  }
+  return index;
+}
+
+export function budgetTotals(data) {
+  const factors = conversionFactors(data);
+  let byTransactions = totalsByFactors.get(factors);
+  if (!byTransactions) {
+    byTransactions = new WeakMap();
+    totalsByFactors.set(factors, byTransactions);
+  }
+  const today = localDay();
+  let totals = byTransactions.get(data.transactions);
+  if (!totals || totals.today !== today) {
+    totals = buildTotals(data.transactions, factors, today);
+    byTransactions.set(data.transactions, totals);
+  }
+  return totals;
+}
+
+// Map of id -> record for accounts, categories, payees and so on
+export function byId(list = EMPTY) {
+  let map = idMaps.get(list);
+  if (!map) {
+    map = new Map(list.map(item => [item.id, item]));
+    idMaps.set(list, map);
+  }
+  return map;
+}
+
+export function findAccount(data, id) {
+  return byId(data.accounts).get(id);
+}
+
+export function findCategory(data, id) {
+  return byId(data.categories).get(id);
+}
+
+// The returned arrays are shared; treat them as read-only
+export function transactionsForAccount(transactions, accountId) {
+  return transactionIndex(transactions).byAccount.get(accountId) || EMPTY;
+}
+
+export function transactionsInMonth(transactions, month) {
+  return transactionIndex(transactions).byMonth.get(month) || EMPTY;
+}
+
+export function transactionsForPayee(transactions, payeeId) {
+  return transactionIndex(transactions).byPayee.get(payeeId) || EMPTY;
+}
+
+// Category and month totals are in the base currency
+export function categoryActivityInMonth(data, categoryId, month) {
+  return budgetTotals(data).categoryActivity.get(categoryId)?.get(month) || 0;
+}
+
+export function categoryActivityThrough(data, categoryId, month) {
+  let sum = 0;
+  for (const [m, amount] of budgetTotals(data).categoryActivity.get(categoryId) || EMPTY) {
+    if (m <= month) sum += amount;
+  }
+  return sum;
+}
+
+export function categoryOutflow(data, categoryId) {
+  return budgetTotals(data).categoryOutflow.get(categoryId) || 0;
+}
+
+// Every transaction in the account, pending ones included
+export function accountBalanceOf(transactions, accountId) {
+  return transactionIndex(transactions).accountBalances.get(accountId) || 0;
+}
+
+// The account's working balance: pending transactions don't count yet
+export function settledBalanceOf(transactions, accountId) {
+  const today = localDay();
+  let entry = settledBalances.get(transactions);
+  if (!entry || entry.today !== today) {
+    entry = { today, balances: new Map() };
+    for (const tx of transactions) {
+      if (!isFuture(tx, today)) add(entry.balances, tx.accountId, tx.amount);
+    }
+    settledBalances.set(transactions, entry);
+  }
+  return entry.balances.get(accountId) || 0;
+}
+
+// Net of every settled transaction dated in or before `month`
+export function totalThrough(data, month) {
+  let sum = 0;
+  for (const [m, amount] of budgetTotals(data).monthTotals) {
+    if (m <= month) sum += amount;
+  }
+  return sum;
+}
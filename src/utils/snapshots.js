@@ -0,0 +1,80 @@
+// Local snapshots (restore points) of the whole dataset.
+// A snapshot is a summary `{ id, budgetId, createdAt, reason, summary }` stored next to
+// a full copy of the data. One is taken each day the app is used and another
+// before every import or bulk change; older ones are pruned per reason.
+
+import { genId } from './format.js';
+import { bookedBalance, totalBalance } from './ledger.js';
+import { baseCurrency } from './currency.js';
+import { localDay } from './dates.js';
+
+export const SNAPSHOT_REASONS = {
+  daily: 'Daily',
+  manual: 'Manual',
+  import: 'Before import',
+  sample: 'Before loading sample data',
+  replace: 'Before replacing the budget',
+  restore: 'Before restoring a backup'
+};
+
+const KEEP_DAILY = 14;
+const KEEP_OTHER = 20;
+
+export function summarizeData(data) {
+  return {
+    transactions: data.transactions.length,
+    accounts: data.accounts.length,
+    netWorth: totalBalance(data),
+    currency: baseCurrency(data)
+  };
+}
+
+export function createSnapshot(budgetId, data, reason, now = new Date()) {
+  return { id: genId(), budgetId, createdAt: now.toISOString(), reason, summary: summarizeData(data) };
+}
+
+// Nothing worth keeping in a budget with no accounts or transactions
+export function isWorthSnapshotting(data) {
+  return data.accounts.length > 0 || data.transactions.length > 0;
+}
+
+export function needsDailySnapshot(snapshots, now = new Date()) {
+  const today = localDay(now);
+  return !snapshots.some(s => s.reason === 'daily' && localDay(new Date(s.createdAt)) === today);
+}
+
+// Ids of snapshots beyond the retention limits; expects newest first
+export function expiredSnapshots(snapshots) {
+  const daily = snapshots.filter(s => s.reason === 'daily').slice(KEEP_DAILY);
+  const other = snapshots.filter(s => s.reason !== 'daily' && s.reason !== 'manual').slice(KEEP_OTHER);
+  return [...daily, ...other].map(s => s.id);
+}
+
+const COLLECTIONS = ['accounts', 'categoryGroups', 'categories', 'transactions', 'payees', 'scheduled', 'rules'];
+
+function compareLists(before = [], after = []) {
+  const old = new Map(before.map(item => [item.id, item]));
+  const current = new Map(after.map(item => [item.id, item]));
+  return {
+    added: after.filter(item => !old.has(item.id)),
+    removed: before.filter(item => !current.has(item.id)),
+    changed: after.filter(item => old.has(item.id) && JSON.stringify(old.get(item.id)) !== JSON.stringify(item))
+  };
+}
+
+// What changed going from `before` (a snapshot) to `after` (the current data):
+// added/removed/changed records per list, and each account's balance then and now
+export function diffDatasets(before, after) {
+  const lists = Object.fromEntries(COLLECTIONS.map(key => [key, compareLists(before[key], after[key])]));
+  const accounts = new Map([...before.accounts, ...after.accounts].map(a => [a.id, a]));
+  const balances = [...accounts.values()]
+    .map(a => ({
+      id: a.id,
+      name: a.name,
+      currency: a.currency || baseCurrency(after),
+      before: bookedBalance(before.transactions, a.id),
+      after: bookedBalance(after.transactions, a.id)
+    }))
+    .filter(b => Math.abs(b.after - b.before) >= 0.005);
+  return { lists, balances };
+}
@@ -0,0 +1,468 @@
+// Persistent storage backed by IndexedDB.
+// Each named budget is stored as one record, keyed by budget id, with its name
+// kept separately in the `budgets` store. The first load moves data saved by
+// older releases out of localStorage (`budget_app_data_v1`) and into the
+// database. Errors are thrown as StorageError, never swallowed, so the app can
+// show what went wrong instead of starting over with an empty budget.
+// Snapshots keep their summary and their data in separate stores so the
+// Backups list loads without reading every copy of the budget; each summary
+// records the budget it belongs to.
+// With encryption turned on, every budget, each snapshot's data and each
+// snapshot's summary (counts and net worth) are stored as encrypted envelopes
+// under one key. The key lives only in memory for the session, so a reload
+// starts locked until the passphrase is entered again. Only budget names and
+// each snapshot's date and reason stay readable.
+
+import { migrate } from './migrations.js';
+import { decryptWithKey, deriveKey, encryptWithKey, isEncrypted, keyForEnvelope } from './crypto.js';
+import { genId } from './format.js';
+
+const DB_NAME = 'questionable-budget';
+const DB_VERSION = 3;
+const STORE = 'budget';
+const BUDGETS = 'budgets';
+const SNAPSHOTS = 'snapshots';
+const SNAPSHOT_DATA = 'snapshot-data';
+// Key of the only record before named budgets
+const SINGLE_RECORD = 'data';
+export const LEGACY_LS_KEY = 'budget_app_data_v1';
+const ACTIVE_BUDGET_KEY = 'budget_app_active_budget';
+const FORMAT_SETTINGS_KEY = 'budget_app_format_settings';
+export const DEFAULT_BUDGET_NAME = 'My Budget';
+
+export class StorageError extends Error {
+  // `raw` is the unreadable saved text, when there is one, so it can be downloaded
+  constructor(message, { cause, raw } = {}) {
+    super(message, { cause });
+    this.name = 'StorageError';
+    this.raw = raw;
+  }
+}
+
+// The saved budget is encrypted and no passphrase has been entered yet
+export class BudgetLockedError extends StorageError {
+  constructor() {
+    super('Your budget is encrypted. Enter your passphrase to unlock it.');
+    this.name = 'BudgetLockedError';
+  }
+}
+
+// `{ key, salt, iterations }` while encryption is on and unlocked, otherwise null
+let sessionKey = null;
+
+export function isEncryptionEnabled() {
+  return sessionKey !== null;
+}
+
+function seal(data) {
+  return sessionKey ? encryptWithKey(data, sessionKey) : data;
+}
+
+async function unseal(stored) {
+  if (!isEncrypted(stored)) return stored;
+  if (!sessionKey) throw new BudgetLockedError();
+  return decryptWithKey(stored, sessionKey);
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let dbPromise = null;
+function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new StorageError('This browser does not support IndexedDB, so your budget can\'t be saved.'));
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+      if (!db.objectStoreNames.contains(SNAPSHOTS)) db.createObjectStore(SNAPSHOTS, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(SNAPSHOT_DATA)) db.createObjectStore(SNAPSHOT_DATA);
+      if (!db.objectStoreNames.contains(BUDGETS)) {
+        db.createObjectStore(BUDGETS, { keyPath: 'id' });
+        if (event.oldVersion > 0) adoptSingleBudget(req.transaction);
+      }
+    };
+    const opened = request(req);
+    dbPromise = new Promise((resolve, reject) => {
+      // Another tab still has the older database open. Trying again opens a
+      // fresh request, so the connection this one gets once unblocked is closed.
+      req.onblocked = () => {
+        reject(new StorageError('Your budget is open in another tab running an older version. Close that tab, then try again.'));
+        opened.then(db => db.close(), () => {});
+      };
+      opened.then(resolve, reject);
+    }).catch(err => {
+      dbPromise = null;
+      if (err instanceof StorageError) throw err;
+      throw new StorageError('Couldn\'t open the budget database.', { cause: err });
+    });
+  }
+  return dbPromise;
+}
+
+function budgetInfo(name, id = genId()) {
+  return { id, name, createdAt: new Date().toISOString() };
+}
+
+// Runs inside the upgrade: the budget saved before named budgets existed
+// becomes "My Budget", and its snapshots are marked as belonging to it
+function adoptSingleBudget(tx) {
+  const store = tx.objectStore(STORE);
+  store.get(SINGLE_RECORD).onsuccess = (e) => {
+    const data = e.target.result;
+    if (data === undefined) return;
+    const info = budgetInfo(DEFAULT_BUDGET_NAME);
+    store.put(data, info.id);
+    store.delete(SINGLE_RECORD);
+    tx.objectStore(BUDGETS).put(info);
+    tx.objectStore(SNAPSHOTS).openCursor().onsuccess = (ev) => {
+      const cursor = ev.target.result;
+      if (!cursor) return;
+      cursor.update({ ...cursor.value, budgetId: info.id });
+      cursor.continue();
+    };
+  };
+}
+
+async function readRecord(budgetId) {
+  const db = await openDatabase();
+  return request(db.transaction(STORE, 'readonly').objectStore(STORE).get(budgetId));
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Write aborted'));
+  });
+}
+
+async function writeRecord(budgetId, data) {
+  const sealed = await seal(data);
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, 'readwrite');
+  tx.objectStore(STORE).put(sealed, budgetId);
+  await completion(tx);
+}
+
+function migrateOrThrow(data, raw) {
+  try {
+    return migrate(data);
+  } catch (err) {
+    throw new StorageError(`Your saved budget couldn't be upgraded: ${err.message}`, { cause: err, raw });
+  }
+}
+
+// Moves a localStorage save from an older release into the database. The old
+// copy is only removed once the database write has succeeded.
+async function importLegacySave(budgetId) {
+  const raw = localStorage.getItem(LEGACY_LS_KEY);
+  if (raw === null) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new StorageError('Your saved budget is damaged and couldn\'t be read.', { cause: err, raw });
+  }
+  const data = migrateOrThrow(parsed, raw);
+  await writeRecord(budgetId, data);
+  localStorage.removeItem(LEGACY_LS_KEY);
+  return data;
+}
+
+// --- Budgets ---
+
+// Every budget's `{ id, name, createdAt }`, by name. The first run creates
+// "My Budget" so there is always one to open.
+export async function listBudgets() {
+  try {
+    const db = await openDatabase();
+    const all = await request(db.transaction(BUDGETS, 'readonly').objectStore(BUDGETS).getAll());
+    if (all.length > 0) return all.sort((a, b) => a.name.localeCompare(b.name));
+    const info = budgetInfo(DEFAULT_BUDGET_NAME);
+    const tx = db.transaction(BUDGETS, 'readwrite');
+    tx.objectStore(BUDGETS).put(info);
+    await completion(tx);
+    return [info];
+  } catch (err) {
+    throw new StorageError('Couldn\'t read your list of budgets.', { cause: err });
+  }
+}
+
+// The budget open last time on this device, if it still exists
+export function activeBudgetId(budgets) {
+  const saved = localStorage.getItem(ACTIVE_BUDGET_KEY);
+  return budgets.some(b => b.id === saved) ? saved : budgets[0].id;
+}
+
+export function rememberActiveBudget(budgetId) {
+  localStorage.setItem(ACTIVE_BUDGET_KEY, budgetId);
+}
+
+// Number and date format settings belong to the device, not to a budget
+export function loadFormatSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(FORMAT_SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveFormatSettings(settings) {
+  localStorage.setItem(FORMAT_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Adds a budget holding `data` and resolves to its info
+export async function createBudget(name, data) {
+  const info = budgetInfo(name);
+  try {
+    const sealed = await seal(data);
+    const db = await openDatabase();
+    const tx = db.transaction([BUDGETS, STORE], 'readwrite');
+    tx.objectStore(BUDGETS).put(info);
+    tx.objectStore(STORE).put(sealed, info.id);
+    await completion(tx);
+    return info;
+  } catch (err) {
+    throw new StorageError('Couldn\'t create the budget.', { cause: err });
+  }
+}
+
+export async function renameBudget(budgetId, name) {
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(BUDGETS, 'readwrite').objectStore(BUDGETS);
+    const info = await request(store.get(budgetId));
+    await request(store.put({ ...info, name }));
+  } catch (err) {
+    throw new StorageError('Couldn\'t rename the budget.', { cause: err });
+  }
+}
+
+// Removes a budget along with its snapshots
+export async function deleteBudget(budgetId) {
+  await writing?.catch(() => {});
+  try {
+    const snapshots = await snapshotRecords(budgetId);
+    const db = await openDatabase();
+    const tx = db.transaction([BUDGETS, STORE, SNAPSHOTS, SNAPSHOT_DATA], 'readwrite');
+    tx.objectStore(BUDGETS).delete(budgetId);
+    tx.objectStore(STORE).delete(budgetId);
+    for (const s of snapshots) {
+      tx.objectStore(SNAPSHOTS).delete(s.id);
+      tx.objectStore(SNAPSHOT_DATA).delete(s.id);
+    }
+    await completion(tx);
+  } catch (err) {
+    throw new StorageError('Couldn\'t delete the budget.', { cause: err });
+  }
+}
+
+// Resolves to a budget's dataset, migrated to the current schema, or null if
+// nothing has been saved in it yet
+export async function loadBudget(budgetId) {
+  let stored;
+  try {
+    stored = await readRecord(budgetId);
+  } catch (err) {
+    if (err instanceof StorageError) throw err;
+    throw new StorageError('Couldn\'t read your saved budget.', { cause: err });
+  }
+  if (stored === undefined) return importLegacySave(budgetId);
+  return migrateOrThrow(await unseal(stored), JSON.stringify(stored));
+}
+
+// Derives the key from `passphrase` and loads the encrypted budget with it.
+// A wrong passphrase rejects with a DecryptError and leaves the budget locked.
+export async function unlockBudget(budgetId, passphrase) {
+  const stored = await readRecord(budgetId);
+  if (!isEncrypted(stored)) return loadBudget(budgetId);
+  const key = await keyForEnvelope(stored, passphrase);
+  const data = await decryptWithKey(stored, key);
+  sessionKey = key;
+  return migrateOrThrow(data, JSON.stringify(stored));
+}
+
+// Older releases left snapshot summaries readable under encryption; seals them
+// once the budget is unlocked
+export async function sealSnapshotSummaries() {
+  if (!sessionKey) return;
+  try {
+    const db = await openDatabase();
+    const records = await request(db.transaction(SNAPSHOTS, 'readonly').objectStore(SNAPSHOTS).getAll());
+    const open = records.filter(s => !isEncrypted(s.summary));
+    if (open.length === 0) return;
+    const sealed = await Promise.all(open.map(async s => ({ ...s, summary: await seal(s.summary) })));
+    const tx = db.transaction(SNAPSHOTS, 'readwrite');
+    for (const record of sealed) tx.objectStore(SNAPSHOTS).put(record);
+    await completion(tx);
+  } catch (err) {
+    throw new StorageError('Couldn\'t encrypt the summaries of older backups. They stay readable until you unlock again.', { cause: err });
+  }
+}
+
+// Forgets the key; the next load needs the passphrase again
+export async function lockBudget() {
+  await writing?.catch(() => {});
+  sessionKey = null;
+}
+
+// Writes are queued so they land in order; while one is in flight only the
+// newest pending dataset of each budget is kept
+let writing = null;
+const pending = new Map();
+// Saves made while setEncryption runs, to write again under the new key
+let rekeyed = null;
+export function saveBudget(budgetId, data) {
+  pending.set(budgetId, data);
+  rekeyed?.set(budgetId, data);
+  if (!writing) {
+    writing = (async () => {
+      try {
+        while (pending.size > 0) {
+          const [id, next] = pending.entries().next().value;
+          pending.delete(id);
+          await writeRecord(id, next);
+        }
+      } finally {
+        writing = null;
+      }
+    })().catch(err => {
+      pending.clear();
+      throw new StorageError('Couldn\'t save your budget. Recent changes may be lost if you close this tab.', { cause: err });
+    });
+  }
+  return writing;
+}
+
+// Replaces the saved dataset outright, e.g. when starting fresh after an error
+export function resetBudget(budgetId, data) {
+  return writeRecord(budgetId, data).catch(err => {
+    throw new StorageError('Couldn\'t reset the saved budget.', { cause: err });
+  });
+}
+
+async function reencryptStore(db, name, key) {
+  const ids = await request(db.transaction(name, 'readonly').objectStore(name).getAllKeys());
+  const copies = [];
+  for (const id of ids) {
+    const stored = await request(db.transaction(name, 'readonly').objectStore(name).get(id));
+    const plain = await unseal(stored);
+    copies.push([id, key ? await encryptWithKey(plain, key) : plain]);
+  }
+  return copies;
+}
+
+// Turns encryption on, changes the passphrase, or turns it off when
+// `passphrase` is null. Every budget and snapshot is rewritten in one
+// transaction, so a failure leaves everything under the old key.
+export async function setEncryption(passphrase) {
+  await writing?.catch(() => {});
+  rekeyed = new Map();
+  try {
+    const key = passphrase === null ? null : await deriveKey(passphrase);
+    const db = await openDatabase();
+    const budgets = await reencryptStore(db, STORE, key);
+    const snapshots = await reencryptStore(db, SNAPSHOT_DATA, key);
+    const summaries = [];
+    for (const record of await request(db.transaction(SNAPSHOTS, 'readonly').objectStore(SNAPSHOTS).getAll())) {
+      const summary = await unseal(record.summary);
+      summaries.push({ ...record, summary: key ? await encryptWithKey(summary, key) : summary });
+    }
+
+    const tx = db.transaction([STORE, SNAPSHOTS, SNAPSHOT_DATA], 'readwrite');
+    for (const [id, copy] of budgets) tx.objectStore(STORE).put(copy, id);
+    for (const [id, copy] of snapshots) tx.objectStore(SNAPSHOT_DATA).put(copy, id);
+    for (const record of summaries) tx.objectStore(SNAPSHOTS).put(record);
+    await completion(tx);
+    sessionKey = key;
+  } catch (err) {
+    throw new StorageError('Couldn\'t change encryption. Your data is still stored as before.', { cause: err });
+  } finally {
+    // Saves made while this ran used the old key; write them again with the current one
+    const saves = rekeyed;
+    rekeyed = null;
+    for (const [id, data] of saves) saveBudget(id, data);
+  }
+}
+
+// Deletes every budget and snapshot, for when the passphrase is lost
+export async function eraseAllBudgets() {
+  try {
+    const db = await openDatabase();
+    const stores = [BUDGETS, STORE, SNAPSHOTS, SNAPSHOT_DATA];
+    const tx = db.transaction(stores, 'readwrite');
+    for (const name of stores) tx.objectStore(name).clear();
+    await completion(tx);
+    sessionKey = null;
+  } catch (err) {
+    throw new StorageError('Couldn\'t erase your saved budgets.', { cause: err });
+  }
+}
+
+// --- Snapshots ---
+
+// A budget's snapshot records as stored, summaries still sealed
+async function snapshotRecords(budgetId) {
+  const db = await openDatabase();
+  const all = await request(db.transaction(SNAPSHOTS, 'readonly').objectStore(SNAPSHOTS).getAll());
+  return all.filter(s => s.budgetId === budgetId);
+}
+
+// Summaries of a budget's snapshots, newest first
+export async function listSnapshots(budgetId) {
+  try {
+    const records = await snapshotRecords(budgetId);
+    const snapshots = await Promise.all(records.map(async s => ({ ...s, summary: await unseal(s.summary) })));
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (err) {
+    throw new StorageError('Couldn\'t read your backups.', { cause: err });
+  }
+}
+
+export async function loadSnapshotData(id) {
+  try {
+    const db = await openDatabase();
+    const stored = await request(db.transaction(SNAPSHOT_DATA, 'readonly').objectStore(SNAPSHOT_DATA).get(id));
+    return stored === undefined ? undefined : await unseal(stored);
+  } catch (err) {
+    throw new StorageError('Couldn\'t read that backup.', { cause: err });
+  }
+}
+
+// Stores `snapshot` (its summary) and `data` together, then deletes `expired` ids
+export async function writeSnapshot(snapshot, data, expired = []) {
+  try {
+    const sealed = await seal(data);
+    const summary = await seal(snapshot.summary);
+    const db = await openDatabase();
+    const tx = db.transaction([SNAPSHOTS, SNAPSHOT_DATA], 'readwrite');
+    tx.objectStore(SNAPSHOTS).put({ ...snapshot, summary });
+    tx.objectStore(SNAPSHOT_DATA).put(sealed, snapshot.id);
+    for (const id of expired) {
+      tx.objectStore(SNAPSHOTS).delete(id);
+      tx.objectStore(SNAPSHOT_DATA).delete(id);
+    }
+    await completion(tx);
+  } catch (err) {
+    throw new StorageError('Couldn\'t save a backup.', { cause: err });
+  }
+}
+
+export async function deleteSnapshot(id) {
+  try {
+    const db = await openDatabase();
+    const tx = db.transaction([SNAPSHOTS, SNAPSHOT_DATA], 'readwrite');
+    tx.objectStore(SNAPSHOTS).delete(id);
+    tx.objectStore(SNAPSHOT_DATA).delete(id);
+    await completion(tx);
+  } catch (err) {
+    throw new StorageError('Couldn\'t delete that backup.', { cause: err });
+  }
+}
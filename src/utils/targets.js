@@ -0,0 +1,81 @@
+// Category targets: what a category is saving or budgeting towards.
+// A target lives on the category as `target: { type, amount, month? }`:
+//   - 'by-date': have `amount` available by the end of `month` (`YYYY-MM`),
+//     spreading what's left evenly over the months remaining
+//   - 'monthly': assign `amount` every month
+//   - 'balance': keep at least `amount` available
+// Amounts are in the base currency, like budgets.
+
+import { budgetedInMonth, categoryMonthSummary } from './budget.js';
+
+export const TARGET_TYPES = {
+  'by-date': 'Save by a date',
+  monthly: 'Needed every month',
+  balance: 'Minimum balance'
+};
+
+// Amounts smaller than this count as fully funded
+const CENT = 0.005;
+
+export function isTargetType(type) {
+  return Object.prototype.hasOwnProperty.call(TARGET_TYPES, type);
+}
+
+// Months from `from` to `to` inclusive; 0 once `to` has passed
+function monthsLeft(from, to) {
+  const [fy, fm] = from.split('-').map(Number);
+  const [ty, tm] = to.split('-').map(Number);
+  return Math.max(0, (ty - fy) * 12 + (tm - fm) + 1);
+}
+
+// Progress towards a category's target in `month`, or null without one.
+// `needed` is what still has to be assigned this month, rounded up to the
+// cent, and `progress` runs from 0 to 1.
+export function targetStatus(data, cat, month) {
+  const target = cat.target;
+  if (!target || !isTargetType(target.type)) return null;
+  const amount = Number(target.amount) || 0;
+  const { budgeted, available } = categoryMonthSummary(data, cat, month);
+  let needed;
+  let progress;
+  if (target.type === 'monthly') {
+    needed = amount - budgeted;
+    progress = amount > 0 ? budgeted / amount : 1;
+  } else if (target.type === 'balance') {
+    needed = amount - available;
+    progress = amount > 0 ? available / amount : 1;
+  } else {
+    // What this month has to hold back, counting money already assigned to it
+    const remaining = amount - (available - budgeted);
+    const months = monthsLeft(month, target.month);
+    needed = months > 0 ? remaining / months - budgeted : amount - available;
+    progress = amount > 0 ? available / amount : 1;
+  }
+  needed = needed > CENT ? Math.ceil(needed * 100 - 1e-6) / 100 : 0;
+  return {
+    ...target,
+    amount,
+    needed,
+    progress: Math.min(1, Math.max(0, progress)),
+    underfunded: needed > 0
+  };
+}
+
+// The amounts that would fully fund every underfunded target in `month`
+export function fundingPlan(data, month) {
+  return data.categories
+    .map(cat => ({ categoryId: cat.id, amount: targetStatus(data, cat, month)?.needed || 0 }))
+    .filter(item => item.amount > 0);
+}
+
+// Assigns the amounts from `fundingPlan` on top of what's already budgeted
+export function fundUnderfunded(data, month) {
+  const plan = new Map(fundingPlan(data, month).map(item => [item.categoryId, item.amount]));
+  if (plan.size === 0) return data;
+  return {
+    ...data,
+    categories: data.categories.map(c => plan.has(c.id)
+      ? { ...c, budgets: { ...c.budgets, [month]: Math.round((budgetedInMonth(c, month) + plan.get(c.id)) * 100) / 100 } }
+      : c)
+  };
+}
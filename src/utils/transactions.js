@@ -0,0 +1,78 @@
+// Transaction helpers.
+// A transaction either carries a single `categoryId` or, when split, a list of
+// `splits: [{ categoryId, amount, memo }]` whose amounts add up to `amount`.
+// Transfers are a pair of linked, uncategorized transactions sharing a
+// `transferId`, one leg in each account.
+
+import { genId, parseAmount } from './format.js';
+
+export const TRANSFER = 'transfer';
+
+// Cent tolerance used when comparing split totals
+const EPSILON = 0.005;
+
+export function isSplit(tx) {
+  return Array.isArray(tx.splits) && tx.splits.length > 0;
+}
+
+// Category lines of a transaction: one per split, or the transaction itself
+export function categoryLines(tx) {
+  if (isSplit(tx)) return tx.splits;
+  return [{ categoryId: tx.categoryId, amount: tx.amount }];
+}
+
+// Amount a transaction contributes to one category
+export function amountInCategory(tx, catId) {
+  return categoryLines(tx)
+    .filter(line => line.categoryId === catId)
+    .reduce((s, line) => s + line.amount, 0);
+}
+
+export function splitRemainder(total, splits) {
+  return total - splits.reduce((s, line) => s + (parseAmount(line.amount) || 0), 0);
+}
+
+export function splitsBalance(total, splits) {
+  return Math.abs(splitRemainder(total, splits)) < EPSILON;
+}
+
+export function isTransfer(tx) {
+  return tx.type === TRANSFER;
+}
+
+// Both legs of a transfer: money leaves `fromAccountId` and arrives in `toAccountId`.
+// Between accounts in different currencies `receivedAmount` is what arrives.
+// Pass existing ids to rebuild a transfer that is being edited.
+export function transferLegs({ fromAccountId, toAccountId, amount, receivedAmount, memo, date }, ids = {}) {
+  const base = { type: TRANSFER, transferId: ids.transferId || genId(), categoryId: null, memo, date };
+  return [
+    { ...base, id: ids.outId || genId(), accountId: fromAccountId, transferAccountId: toAccountId, amount: -Math.abs(amount) },
+    { ...base, id: ids.inId || genId(), accountId: toAccountId, transferAccountId: fromAccountId, amount: Math.abs(receivedAmount ?? amount) }
+  ];
+}
+
+// Direction and size of a transfer as seen from either of its legs
+export function transferDetails(tx) {
+  const outgoing = tx.amount < 0;
+  return {
+    fromAccountId: outgoing ? tx.accountId : tx.transferAccountId,
+    toAccountId: outgoing ? tx.transferAccountId : tx.accountId,
+    amount: Math.abs(tx.amount)
+  };
+}
+
+// Category column label; splits list every category line and
+// transfers name the account on the other side. `lookup` finds records by id;
+// pass indexed lookups (see selectors.js) when labelling many rows at once.
+export function categoryLabel(tx, data, lookup = {
+  account: id => data.accounts.find(a => a.id === id),
+  category: id => data.categories.find(c => c.id === id)
+}) {
+  const name = id => lookup.category(id)?.name;
+  if (isTransfer(tx)) {
+    const other = lookup.account(tx.transferAccountId)?.name;
+    return `Transfer ${tx.amount < 0 ? 'to' : 'from'} ${other || 'unknown account'}`;
+  }
+  if (isSplit(tx)) return `Split: ${tx.splits.map(line => name(line.categoryId)).join(', ')}`;
+  return name(tx.categoryId);
+}
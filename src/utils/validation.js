@@ -0,0 +1,474 @@
+// Validation and repair for budget data files.
+// `validateDataset` lists every problem with the path of the offending field
+// (e.g. `transactions[12].accountId`). `repairDataset` fixes what it can and
+// drops what it can't, reporting each change in the same form.
+// References may also point into `context` (the budget being merged into).
+// Older formats are accepted: categories with a lifetime `budgeted` number and
+// accounts with a stored `balance` are upgraded later by the migrations.
+
+import { genId } from './format.js';
+import { TRANSFER, splitsBalance } from './transactions.js';
+import { STARTING_BALANCE, ADJUSTMENT, UNCLEARED, CLEARED, RECONCILED } from './ledger.js';
+import { isCurrencyCode } from './currency.js';
+import { isTargetType } from './targets.js';
+
+const TYPES = [STARTING_BALANCE, ADJUSTMENT, TRANSFER];
+const STATUSES = [UNCLEARED, CLEARED, RECONCILED];
+const LISTS = ['accounts', 'categories', 'transactions'];
+const OPTIONAL_LISTS = ['categoryGroups', 'scheduled', 'payees', 'rules'];
+const MONTH = /^\d{4}-\d{2}$/;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+// Numbers, or strings holding one (e.g. "12.50" from a hand-edited file)
+function toAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+function idSet(...lists) {
+  return new Set(lists.flat().filter(isObject).map(item => item.id).filter(isId));
+}
+
+// Problems that stop this being read as budget data at all
+function structuralProblems(data) {
+  if (!isObject(data)) return [{ path: '', message: 'File does not contain a budget object' }];
+  const problems = [];
+  for (const key of LISTS) {
+    if (!(key in data)) problems.push({ path: key, message: 'Missing list' });
+    else if (!Array.isArray(data[key])) problems.push({ path: key, message: 'Must be a list' });
+  }
+  for (const key of OPTIONAL_LISTS) {
+    if (key in data && !Array.isArray(data[key])) problems.push({ path: key, message: 'Must be a list' });
+  }
+  return problems;
+}
+
+function list(data, key) {
+  return Array.isArray(data[key]) ? data[key] : [];
+}
+
+// A category target's problem, or null when it's usable
+function targetProblem(target) {
+  if (!isObject(target) || !isTargetType(target.type)) return 'Unknown target type';
+  if (!(toAmount(target.amount) > 0)) return 'Target amount must be above zero';
+  if (target.type === 'by-date' && !MONTH.test(target.month || '')) return 'Target month must be YYYY-MM';
+  return null;
+}
+
+// Account id -> currency code, for comparing the two legs of a transfer
+function accountCurrencies(data, context) {
+  const base = data.baseCurrency || context.baseCurrency;
+  return new Map([...(context.accounts || []), ...list(data, 'accounts')].filter(isObject).map(a => [a.id, a.currency || base]));
+}
+
+// Transfer legs that can't stand as a transfer, as position -> reason. Both
+// legs must be there and cancel out; a leg into an account in another currency
+// records what arrived, so across currencies only the directions are compared.
+function brokenTransfers(transactions, currencies) {
+  const broken = new Map();
+  const legs = new Map();
+  transactions.forEach((tx, k) => {
+    if (!isObject(tx) || tx.type !== TRANSFER) return;
+    if (!isId(tx.transferId)) broken.set(k, 'it has no transfer id');
+    else legs.set(tx.transferId, [...(legs.get(tx.transferId) || []), k]);
+  });
+  for (const positions of legs.values()) {
+    let reason = null;
+    if (positions.length === 1) reason = 'its other leg is missing';
+    else if (positions.length > 2) reason = `${positions.length} legs share its transfer id`;
+    else {
+      const [a, b] = positions.map(k => transactions[k]);
+      const [from, to] = [toAmount(a.amount), toAmount(b.amount)];
+      if (from === null || to === null) continue;
+      if (currencies.get(a.accountId) === currencies.get(b.accountId)) {
+        if (Math.abs(from + to) >= 0.005) reason = 'its legs don\'t add up to zero';
+      } else if (from * to > 0) {
+        reason = 'both legs move money the same way';
+      }
+    }
+    if (reason) for (const k of positions) broken.set(k, reason);
+  }
+  return broken;
+}
+
+function checkIds(items, key, problems) {
+  const seen = new Set();
+  items.forEach((item, i) => {
+    if (!isObject(item)) {
+      problems.push({ path: `${key}[${i}]`, message: 'Must be an object' });
+      return;
+    }
+    if (!isId(item.id)) problems.push({ path: `${key}[${i}].id`, message: 'Missing id' });
+    else if (seen.has(item.id)) problems.push({ path: `${key}[${i}].id`, message: `Duplicate id "${item.id}"` });
+    else seen.add(item.id);
+  });
+}
+
+export function validateDataset(data, context = {}) {
+  const problems = structuralProblems(data);
+  if (!isObject(data)) return problems;
+
+  const accounts = list(data, 'accounts');
+  const categories = list(data, 'categories');
+  const transactions = list(data, 'transactions');
+  const payees = list(data, 'payees');
+  const groups = list(data, 'categoryGroups');
+  const accountIds = idSet(accounts, context.accounts || []);
+  const categoryIds = idSet(categories, context.categories || []);
+  const payeeIds = idSet(payees, context.payees || []);
+  const groupIds = idSet(groups, context.categoryGroups || []);
+
+  if ('baseCurrency' in data && !isCurrencyCode(data.baseCurrency)) {
+    problems.push({ path: 'baseCurrency', message: `Unknown currency "${data.baseCurrency}"` });
+  }
+
+  checkIds(accounts, 'accounts', problems);
+  accounts.forEach((a, i) => {
+    if (!isObject(a)) return;
+    if (typeof a.name !== 'string' || !a.name.trim()) problems.push({ path: `accounts[${i}].name`, message: 'Missing name' });
+    if ('balance' in a && toAmount(a.balance) === null) problems.push({ path: `accounts[${i}].balance`, message: 'Not a number' });
+    if ('currency' in a && !isCurrencyCode(a.currency)) problems.push({ path: `accounts[${i}].currency`, message: `Unknown currency "${a.currency}"` });
+  });
+
+  checkIds(groups, 'categoryGroups', problems);
+  groups.forEach((g, i) => {
+    if (isObject(g) && (typeof g.name !== 'string' || !g.name.trim())) problems.push({ path: `categoryGroups[${i}].name`, message: 'Missing name' });
+  });
+
+  checkIds(categories, 'categories', problems);
+  categories.forEach((c, i) => {
+    if (!isObject(c)) return;
+    if (typeof c.name !== 'string' || !c.name.trim()) problems.push({ path: `categories[${i}].name`, message: 'Missing name' });
+    if (c.groupId !== undefined && !groupIds.has(c.groupId)) {
+      problems.push({ path: `categories[${i}].groupId`, message: `Unknown group "${c.groupId}"` });
+    }
+    if (c.target !== undefined && targetProblem(c.target)) {
+      problems.push({ path: `categories[${i}].target`, message: targetProblem(c.target) });
+    }
+    if ('budgets' in c) {
+      if (!isObject(c.budgets)) {
+        problems.push({ path: `categories[${i}].budgets`, message: 'Must be an object of month amounts' });
+      } else {
+        for (const [month, amount] of Object.entries(c.budgets)) {
+          if (!MONTH.test(month)) problems.push({ path: `categories[${i}].budgets.${month}`, message: 'Not a YYYY-MM month' });
+          else if (toAmount(amount) === null) problems.push({ path: `categories[${i}].budgets.${month}`, message: 'Not a number' });
+        }
+      }
+    } else if ('budgeted' in c && toAmount(c.budgeted) === null) {
+      problems.push({ path: `categories[${i}].budgeted`, message: 'Not a number' });
+    }
+  });
+
+  checkIds(transactions, 'transactions', problems);
+  transactions.forEach((tx, i) => {
+    if (!isObject(tx)) return;
+    const path = `transactions[${i}]`;
+    if (!accountIds.has(tx.accountId)) problems.push({ path: `${path}.accountId`, message: `Unknown account "${tx.accountId ?? ''}"` });
+    if (tx.categoryId != null && !categoryIds.has(tx.categoryId)) {
+      problems.push({ path: `${path}.categoryId`, message: `Unknown category "${tx.categoryId}"` });
+    }
+    if (toAmount(tx.amount) === null) problems.push({ path: `${path}.amount`, message: 'Not a number' });
+    else if (typeof tx.amount !== 'number') problems.push({ path: `${path}.amount`, message: 'Stored as text' });
+    if (!isValidDate(tx.date)) problems.push({ path: `${path}.date`, message: `Invalid date "${tx.date ?? ''}"` });
+    if (tx.type !== undefined && !TYPES.includes(tx.type)) problems.push({ path: `${path}.type`, message: `Unknown type "${tx.type}"` });
+    if (tx.cleared !== undefined && !STATUSES.includes(tx.cleared)) {
+      problems.push({ path: `${path}.cleared`, message: `Unknown cleared status "${tx.cleared}"` });
+    }
+    if (tx.type === TRANSFER && !accountIds.has(tx.transferAccountId)) {
+      problems.push({ path: `${path}.transferAccountId`, message: `Unknown account "${tx.transferAccountId ?? ''}"` });
+    }
+    if (tx.payeeId !== undefined && !payeeIds.has(tx.payeeId)) {
+      problems.push({ path: `${path}.payeeId`, message: `Unknown payee "${tx.payeeId}"` });
+    }
+    if (tx.splits !== undefined) {
+      if (!Array.isArray(tx.splits)) {
+        problems.push({ path: `${path}.splits`, message: 'Must be a list' });
+      } else {
+        tx.splits.forEach((line, j) => {
+          if (!isObject(line)) {
+            problems.push({ path: `${path}.splits[${j}]`, message: 'Must be an object' });
+            return;
+          }
+          if (!categoryIds.has(line.categoryId)) {
+            problems.push({ path: `${path}.splits[${j}].categoryId`, message: `Unknown category "${line.categoryId ?? ''}"` });
+          }
+          if (toAmount(line.amount) === null) problems.push({ path: `${path}.splits[${j}].amount`, message: 'Not a number' });
+        });
+        const amounts = tx.splits.map(line => (isObject(line) ? toAmount(line.amount) : null));
+        if (toAmount(tx.amount) !== null && !amounts.includes(null) && !splitsBalance(toAmount(tx.amount), amounts.map(amount => ({ amount })))) {
+          problems.push({ path: `${path}.splits`, message: `Split lines don't add up to the amount (${toAmount(tx.amount)})` });
+        }
+      }
+    }
+  });
+
+  for (const [i, reason] of brokenTransfers(transactions, accountCurrencies(data, context))) {
+    problems.push({ path: `transactions[${i}].transferId`, message: `Broken transfer: ${reason}` });
+  }
+
+  const scheduled = list(data, 'scheduled');
+  checkIds(scheduled, 'scheduled', problems);
+  scheduled.forEach((s, i) => {
+    if (!isObject(s)) return;
+    if (!accountIds.has(s.accountId)) problems.push({ path: `scheduled[${i}].accountId`, message: `Unknown account "${s.accountId ?? ''}"` });
+    if (!categoryIds.has(s.categoryId)) problems.push({ path: `scheduled[${i}].categoryId`, message: `Unknown category "${s.categoryId ?? ''}"` });
+    if (toAmount(s.amount) === null) problems.push({ path: `scheduled[${i}].amount`, message: 'Not a number' });
+    if (!DAY.test(s.startDate || '')) problems.push({ path: `scheduled[${i}].startDate`, message: `Invalid date "${s.startDate ?? ''}"` });
+  });
+
+  checkIds(payees, 'payees', problems);
+  payees.forEach((p, i) => {
+    if (isObject(p) && (typeof p.name !== 'string' || !p.name.trim())) problems.push({ path: `payees[${i}].name`, message: 'Missing name' });
+  });
+
+  const rules = list(data, 'rules');
+  checkIds(rules, 'rules', problems);
+  rules.forEach((r, i) => {
+    if (!isObject(r)) return;
+    if (!categoryIds.has(r.categoryId)) problems.push({ path: `rules[${i}].categoryId`, message: `Unknown category "${r.categoryId ?? ''}"` });
+    if (typeof r.value !== 'string' || !r.value.trim()) problems.push({ path: `rules[${i}].value`, message: 'Missing text to match' });
+  });
+
+  return problems;
+}
+
+// True when the file can't be treated as budget data even after repair
+export function isUnrepairable(problems) {
+  return problems.some(p => p.path === '');
+}
+
+// Gives every record a unique id. Later duplicates of accounts, categories and
+// payees are dropped (references resolve to the first); other records are
+// re-ided. Returns `{ item, index }` pairs so changes can cite the original path.
+function uniqueRecords(items, key, changes, dropDuplicates) {
+  const seen = new Set();
+  const result = [];
+  items.forEach((item, i) => {
+    if (!isObject(item)) {
+      changes.push({ path: `${key}[${i}]`, message: 'Removed (not an object)' });
+      return;
+    }
+    if (isId(item.id) && seen.has(item.id) && dropDuplicates) {
+      changes.push({ path: `${key}[${i}]`, message: `Removed duplicate of "${item.id}"` });
+      return;
+    }
+    if (!isId(item.id) || seen.has(item.id)) {
+      const id = genId();
+      changes.push({ path: `${key}[${i}].id`, message: `Given new id "${id}"` });
+      item = { ...item, id };
+    }
+    seen.add(item.id);
+    result.push({ item, index: i });
+  });
+  return result;
+}
+
+// Returns `{ data, changes }`. Money is never silently lost: transactions
+// pointing at a missing account get a recovered placeholder account, and only
+// transactions without a usable amount or date are removed.
+export function repairDataset(input, context = {}) {
+  const changes = [];
+  const data = { ...input };
+  for (const key of [...LISTS, ...OPTIONAL_LISTS]) {
+    if (!Array.isArray(data[key]) && (LISTS.includes(key) || key in data)) {
+      changes.push({ path: key, message: 'Replaced with an empty list' });
+      data[key] = [];
+    }
+  }
+
+  if ('baseCurrency' in data && !isCurrencyCode(data.baseCurrency)) {
+    delete data.baseCurrency;
+    changes.push({ path: 'baseCurrency', message: 'Removed (US dollars are assumed)' });
+  }
+
+  data.accounts = uniqueRecords(data.accounts, 'accounts', changes, true).map(({ item: a, index: i }) => {
+    const fixed = { ...a };
+    if (typeof a.name !== 'string' || !a.name.trim()) {
+      fixed.name = 'Unnamed account';
+      changes.push({ path: `accounts[${i}].name`, message: 'Named "Unnamed account"' });
+    }
+    if ('balance' in a && toAmount(a.balance) === null) {
+      delete fixed.balance;
+      changes.push({ path: `accounts[${i}].balance`, message: 'Removed' });
+    } else if ('balance' in a) {
+      fixed.balance = toAmount(a.balance);
+    }
+    if ('currency' in a && !isCurrencyCode(a.currency)) {
+      delete fixed.currency;
+      changes.push({ path: `accounts[${i}].currency`, message: 'Removed (the budget\'s base currency is used)' });
+    }
+    return fixed;
+  });
+
+  if (data.categoryGroups) {
+    data.categoryGroups = uniqueRecords(data.categoryGroups, 'categoryGroups', changes, true).map(({ item: g, index: i }) => {
+      if (typeof g.name === 'string' && g.name.trim()) return g;
+      changes.push({ path: `categoryGroups[${i}].name`, message: 'Named "Unnamed group"' });
+      return { ...g, name: 'Unnamed group' };
+    });
+  }
+
+  const groupIds = idSet(data.categoryGroups || [], context.categoryGroups || []);
+  data.categories = uniqueRecords(data.categories, 'categories', changes, true).map(({ item: c, index: i }) => {
+    const fixed = { ...c };
+    if (typeof c.name !== 'string' || !c.name.trim()) {
+      fixed.name = 'Unnamed category';
+      changes.push({ path: `categories[${i}].name`, message: 'Named "Unnamed category"' });
+    }
+    if (c.groupId !== undefined && !groupIds.has(c.groupId)) {
+      delete fixed.groupId;
+      changes.push({ path: `categories[${i}].groupId`, message: 'Removed (unknown group)' });
+    }
+    if (c.target !== undefined && targetProblem(c.target)) {
+      delete fixed.target;
+      changes.push({ path: `categories[${i}].target`, message: 'Removed (invalid target)' });
+    } else if (c.target !== undefined) {
+      fixed.target = { ...c.target, amount: toAmount(c.target.amount) };
+    }
+    if ('budgets' in c) {
+      const budgets = {};
+      for (const [month, amount] of Object.entries(isObject(c.budgets) ? c.budgets : {})) {
+        if (MONTH.test(month) && toAmount(amount) !== null) budgets[month] = toAmount(amount);
+        else changes.push({ path: `categories[${i}].budgets.${month}`, message: 'Removed' });
+      }
+      if (!isObject(c.budgets)) changes.push({ path: `categories[${i}].budgets`, message: 'Reset to no budgets' });
+      fixed.budgets = budgets;
+    } else if ('budgeted' in c && toAmount(c.budgeted) === null) {
+      fixed.budgeted = 0;
+      changes.push({ path: `categories[${i}].budgeted`, message: 'Set to 0' });
+    }
+    return fixed;
+  });
+
+  if (data.payees) {
+    data.payees = uniqueRecords(data.payees, 'payees', changes, true).filter(({ item: p, index: i }) => {
+      if (typeof p.name === 'string' && p.name.trim()) return true;
+      changes.push({ path: `payees[${i}]`, message: 'Removed (no name)' });
+      return false;
+    }).map(entry => entry.item);
+  }
+
+  const categoryIds = idSet(data.categories, context.categories || []);
+  const payeeIds = idSet(data.payees || [], context.payees || []);
+  const knownAccounts = idSet(data.accounts, context.accounts || []);
+  const recovered = new Map();
+  const accountFor = (id, path) => {
+    if (knownAccounts.has(id)) return id;
+    const key = isId(id) ? id : '';
+    if (!recovered.has(key)) {
+      const account = { id: key || genId(), name: key ? `Recovered account (${key})` : 'Recovered account' };
+      recovered.set(key, account);
+      changes.push({ path, message: `Added placeholder account "${account.name}"` });
+    }
+    return recovered.get(key).id;
+  };
+
+  const transactions = uniqueRecords(data.transactions, 'transactions', changes, false).filter(({ item: tx, index: i }) => {
+    const path = `transactions[${i}]`;
+    if (toAmount(tx.amount) === null) {
+      changes.push({ path, message: 'Removed (amount is not a number)' });
+      return false;
+    }
+    if (!isValidDate(tx.date)) {
+      changes.push({ path, message: `Removed (invalid date "${tx.date ?? ''}")` });
+      return false;
+    }
+    return true;
+  }).map(({ item: tx, index: i }) => {
+    const path = `transactions[${i}]`;
+    const fixed = { ...tx, amount: toAmount(tx.amount), accountId: accountFor(tx.accountId, `${path}.accountId`) };
+    if (fixed.categoryId !== undefined && fixed.categoryId !== null && !categoryIds.has(fixed.categoryId)) {
+      fixed.categoryId = null;
+      changes.push({ path: `${path}.categoryId`, message: 'Cleared (unknown category)' });
+    }
+    if (fixed.type !== undefined && !TYPES.includes(fixed.type)) {
+      delete fixed.type;
+      changes.push({ path: `${path}.type`, message: 'Removed (unknown type)' });
+    }
+    if (fixed.type === TRANSFER && !knownAccounts.has(fixed.transferAccountId)) {
+      delete fixed.type;
+      delete fixed.transferId;
+      delete fixed.transferAccountId;
+      changes.push({ path, message: 'Turned into a plain transaction (transfer account is missing)' });
+    }
+    if (fixed.cleared !== undefined && !STATUSES.includes(fixed.cleared)) {
+      delete fixed.cleared;
+      changes.push({ path: `${path}.cleared`, message: 'Reset to uncleared' });
+    }
+    if (fixed.payeeId !== undefined && !payeeIds.has(fixed.payeeId)) {
+      delete fixed.payeeId;
+      changes.push({ path: `${path}.payeeId`, message: 'Removed (unknown payee)' });
+    }
+    if (fixed.splits !== undefined) {
+      // Reconciled transactions are locked, but only their categories change
+      // here; the change list says so before the user confirms the repair
+      const kept = fixed.cleared === RECONCILED ? ' (it stays reconciled, with its amount unchanged)' : '';
+      const lines = Array.isArray(fixed.splits)
+        ? fixed.splits.filter(line => isObject(line) && toAmount(line.amount) !== null && categoryIds.has(line.categoryId))
+        : [];
+      if (lines.length < 2) {
+        delete fixed.splits;
+        if (!fixed.categoryId) fixed.categoryId = null;
+        changes.push({ path: `${path}.splits`, message: `Removed; the transaction is now uncategorized${kept}` });
+      } else if (!splitsBalance(fixed.amount, lines.map(line => ({ amount: toAmount(line.amount) })))) {
+        // Spreading the wrong total across categories is worse than leaving it uncategorized
+        const dropped = lines.length !== fixed.splits.length ? ' once invalid lines were dropped' : '';
+        delete fixed.splits;
+        if (!fixed.categoryId) fixed.categoryId = null;
+        changes.push({
+          path: `${path}.splits`,
+          message: `Removed because the lines don't add up to the amount${dropped}; the transaction is now uncategorized${kept}`
+        });
+      } else {
+        if (lines.length !== fixed.splits.length) changes.push({ path: `${path}.splits`, message: 'Removed invalid split lines' });
+        fixed.splits = lines.map(line => ({ ...line, amount: toAmount(line.amount) }));
+      }
+    }
+    return { item: fixed, index: i };
+  });
+  data.accounts = [...data.accounts, ...recovered.values()];
+
+  // A broken transfer keeps its money as a plain transaction to categorize
+  const broken = brokenTransfers(transactions.map(entry => entry.item), accountCurrencies(data, context));
+  data.transactions = transactions.map(({ item: tx, index: i }, k) => {
+    if (!broken.has(k)) return tx;
+    const fixed = { ...tx, categoryId: null };
+    delete fixed.type;
+    delete fixed.transferId;
+    delete fixed.transferAccountId;
+    changes.push({ path: `transactions[${i}]`, message: `Turned into an uncategorized transaction (${broken.get(k)})` });
+    return fixed;
+  });
+
+  if (data.scheduled) {
+    data.scheduled = uniqueRecords(data.scheduled, 'scheduled', changes, false).filter(({ item: s, index: i }) => {
+      const ok = knownAccounts.has(s.accountId) && categoryIds.has(s.categoryId) &&
+        toAmount(s.amount) !== null && DAY.test(s.startDate || '');
+      if (!ok) changes.push({ path: `scheduled[${i}]`, message: 'Removed (incomplete schedule)' });
+      return ok;
+    }).map(({ item: s }) => ({ ...s, amount: toAmount(s.amount) }));
+  }
+
+  if (data.rules) {
+    data.rules = uniqueRecords(data.rules, 'rules', changes, false).filter(({ item: r, index: i }) => {
+      const ok = categoryIds.has(r.categoryId) && typeof r.value === 'string' && r.value.trim();
+      if (!ok) changes.push({ path: `rules[${i}]`, message: 'Removed (incomplete rule)' });
+      return ok;
+    }).map(entry => entry.item);
+  }
+
+  return { data, changes };
+}